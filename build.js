@@ -1,732 +1,129 @@
-const fetch = require('node-fetch');
-const cheerio = require('cheerio');
 const fs = require('fs');
-const puppeteer = require('puppeteer');
-
-// Fetch HTML from a URL
-async function fetchHTML(url) {
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    return await response.text();
-  } catch (error) {
-    console.error(`Error fetching ${url}:`, error.message);
-    return null;
-  }
-}
-
-// Helper function to parse date strings
-function parseDateString(dateStr) {
-  // Parse MM/DD/YYYY format
-  if (dateStr.includes('/')) {
-    const parts = dateStr.split('/');
-    if (parts.length === 3) {
-      const [month, day, year] = parts;
-      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-    }
-  }
-  
-  // Try to parse "Monday, Jan 20" or "Mon Jan 20" format
-  const dateObj = new Date(dateStr);
-  if (!isNaN(dateObj.getTime())) {
-    const year = dateObj.getFullYear();
-    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-    const day = String(dateObj.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-  }
-  
-  return null;
-}
-
-// Current date in Pacific (America/Los_Angeles) for consistent filtering on Vercel (UTC) and local builds
-function getTodayPacificDateString() {
-  const formatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: 'America/Los_Angeles',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
-  });
-  const parts = formatter.formatToParts(new Date());
-  const year = parts.find(p => p.type === 'year').value;
-  const month = parts.find(p => p.type === 'month').value;
-  const day = parts.find(p => p.type === 'day').value;
-  return `${year}-${month}-${day}`;
-}
-
-// Parse 19hz.info events
-function parse19hz(html) {
-  const $ = cheerio.load(html);
-  const events = [];
-  
-  // Find the table with events
-  $('table').each((i, table) => {
-    $(table).find('tbody tr').each((j, row) => {
-      const cells = $(row).find('td');
-      if (cells.length < 6) return; // Skip header rows or incomplete rows
-      
-      const dateTime = $(cells[0]).text().trim();
-      const eventTitleVenue = $(cells[1]).text().trim();
-      const tags = $(cells[2]).text().trim();
-      const priceAge = $(cells[3]).text().trim();
-      const organizers = $(cells[4]).text().trim();
-      const links = $(cells[5]).text().trim();
-      
-      // Filter: exclude 21+ events
-      if (priceAge.toLowerCase().includes('21+') || priceAge.toLowerCase().includes('+ 21')) {
-        return;
-      }
-      
-      // Filter: exclude Sacramento events
-      if (eventTitleVenue.includes('(Sacramento)')) {
-        return;
-      }
-      
-      // Parse date and time
-      let date = null;
-      let time = null;
-      
-      // Try to match date and time together first
-      const dateTimeMatch = dateTime.match(/(\d{1,2}\/\d{1,2}\/\d{4}|\w+day,?\s+\w+\s+\d{1,2})[\s,]+(\d{1,2}:\d{2}\s*(?:am|pm|AM|PM)?)/i);
-      if (dateTimeMatch) {
-        const dateStr = dateTimeMatch[1];
-        const timeStr = dateTimeMatch[2];
-        time = timeStr.trim();
-        date = parseDateString(dateStr);
-      } else {
-        // Try to match date without time
-        const dateOnlyMatch = dateTime.match(/(\d{1,2}\/\d{1,2}\/\d{4}|\w+day,?\s+\w+\s+\d{1,2})/i);
-        if (dateOnlyMatch) {
-          date = parseDateString(dateOnlyMatch[1]);
-          // Try to extract time separately
-          const timeMatch = dateTime.match(/(\d{1,2}:\d{2}\s*(?:am|pm|AM|PM)?)/i);
-          if (timeMatch) {
-            time = timeMatch[1].trim();
-          }
-        }
-      }
-      
-      // Extract venue from eventTitleVenue (format: "Event Title @ Venue (City)")
-      // Example: "Sound Box - Tash, Snkr @ Make-Out Room (San Francisco)"
-      const venueMatch = eventTitleVenue.match(/@\s*(.+)$/);
-      let venue = venueMatch ? venueMatch[1].trim() : '';
-      const title = venueMatch ? eventTitleVenue.substring(0, venueMatch.index).trim() : eventTitleVenue;
-      
-      // Extract city from parentheses at the end of venue
-      let city = null;
-      const cityMatch = venue.match(/\s*\(([^)]+)\)\s*$/);
-      if (cityMatch) {
-        city = cityMatch[1].trim();
-        // Remove the city from the venue name
-        venue = venue.substring(0, cityMatch.index).trim();
-      }
-      
-      if (date) {
-        events.push({
-          date,
-          time,
-          source: '19hz',
-          title,
-          venue,
-          city,
-          details: `${priceAge}${tags ? ' | ' + tags : ''}`,
-          bands: [],
-          link: null
-        });
-      }
-    });
-  });
-  
-  return events;
-}
-
-
-
-
-
-
-// Parse Foopee events from a single page
-function parseFoopeePage(html) {
-  const $ = cheerio.load(html);
-  const events = [];
-  let currentDate = null;
-
-  console.log('  Parsing Foopee page...');
-
-  
-  // Get the date range from the h2 heading (e.g., "Jan 19 - Jan 25")
-  const heading = $('h2').first().text();
-  const headingMatch = heading.match(/(\w+)\s+(\d{1,2})\s*-\s*(\w+)\s+(\d{1,2})/);
-  let weekStartDate = null;
-  if (headingMatch) {
-    const [, startMonth, startDay, endMonth, endDay] = headingMatch;
-    const now = new Date();
-    const year = now.getFullYear();
-    const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 
-                       'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-    const startMonthIndex = monthNames.findIndex(m => 
-      startMonth.toLowerCase().startsWith(m.toLowerCase())
-    );
-    if (startMonthIndex !== -1) {
-      weekStartDate = new Date(year, startMonthIndex, parseInt(startDay));
-    }
-  }
-  
-  // Find the main list structure - iterate through top-level list items
-  // Find the main list structure - iterate through top-level list items
-$('body > ul > li, body > ol > li').each((i, item) => {
-  const $item = $(item);
-  const text = $item.text().trim();
-  
-  // Check if this is a date header
-  const dateMatch = text.match(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+(\w+)\s+(\d{1,2})/i);
-  if (dateMatch) {
-    const [, dayName, monthName, day] = dateMatch;
-    console.log(`    Found date header: ${dayName} ${monthName} ${day}`);
-    const now = new Date();
-    const year = now.getFullYear();
-    const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 
-                       'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-    const monthIndex = monthNames.findIndex(m => 
-      monthName.toLowerCase().startsWith(m.toLowerCase())
-    );
-    
-    if (monthIndex !== -1) {
-      currentDate = `${year}-${String(monthIndex + 1).padStart(2, '0')}-${day.padStart(2, '0')}`;
-    }
-    console.log(`    Set currentDate to: ${currentDate}`);
-    
-    // Now process the nested events for this date
-    $item.find('ul > li').each((j, eventItem) => {
-      const $eventItem = $(eventItem);
-
-
-      // Check if this item contains event data (has links)
-      const links = $eventItem.find('a');
-      if (links.length === 0) return;
-
-      // Get all text content - this is a continuous string format
-      // Example: "Black Cat, S.F. Jezebel: Rewritten 21+ $30 6pm/7pm til 9pm"
-      const fullText = $eventItem.text().trim();
-      
-      // Filter: exclude 21+ events
-      if (fullText.toLowerCase().includes('21+')) {
-        return;
-      }
-      
-      // Extract venue and city from first link (format: "Black Cat, S.F." or "Venue Name, City")
-      const venueFull = $(links[0]).text().trim();
-      let venue = venueFull;
-      let city = null;
-      
-      // Split on comma to separate venue and city
-      const commaIndex = venueFull.lastIndexOf(',');
-      if (commaIndex !== -1) {
-        venue = venueFull.substring(0, commaIndex).trim();
-        city = venueFull.substring(commaIndex + 1).trim();
-      }
-      
-      // Filter: only include S.F., Oakland, and Berkeley events
-      if (city) {
-        const cityLower = city.toLowerCase();
-        const allowedCities = ['s.f.', 'san francisco', 'oakland', 'berkeley', 'berkely'];
-        if (!allowedCities.includes(cityLower)) {
-          return;
-        }
-      } else {
-        // If no city is found, exclude the event
-        return;
-      }
-      
-      // Extract bands (subsequent links)
-      const bands = [];
-      links.slice(1).each((j, link) => {
-        const band = $(link).text().trim();
-        if (band) bands.push(band);
-      });
-      
-      // Extract the remaining text after all links (price, age, time)
-      // Clone the item and remove all links to get just the text parts
-      const $clone = $eventItem.clone();
-      $clone.find('a').remove();
-      let details = $clone.text().trim();
-      // Clean up commas and whitespace
-      details = details.replace(/^[\s,]+/, '').replace(/[\s,]+$/, '').trim();
-      
-      // Extract time from details - handle formats like:
-      // "6pm/7pm til 9pm", "7pm/8pm", "7:30pm", "7pm", "6pm/7pm"
-      let time = null;
-      // Try to match time patterns (including ranges like "6pm/7pm til 9pm")
-      const timeMatch = details.match(/(\d{1,2}(?::\d{2})?\s*(?:am|pm|AM|PM)(?:\/\d{1,2}(?::\d{2})?\s*(?:am|pm|AM|PM))?(?:\s+til\s+\d{1,2}(?::\d{2})?\s*(?:am|pm|AM|PM))?)/i);
-      if (timeMatch) {
-        time = timeMatch[0].trim();
-      } else {
-        // Fallback: try simpler time pattern
-        const simpleTimeMatch = details.match(/(\d{1,2}:\d{2}\s*(?:am|pm|AM|PM)?)/i);
-        if (simpleTimeMatch) {
-          time = simpleTimeMatch[1].trim();
-        }
-      }
-      
-      // Use currentDate if available, otherwise try to infer from structure
-      let date = currentDate;
-      if (!date && weekStartDate) {
-        // Fallback: use week start date if we can't find a specific date
-        date = `${weekStartDate.getFullYear()}-${String(weekStartDate.getMonth() + 1).padStart(2, '0')}-${String(weekStartDate.getDate()).padStart(2, '0')}`;
-      }
-
-      
-      if (date && venue) {
-        console.log(`    Adding event on ${date}: ${venue}`);
-        events.push({
-          date,
-          time,
-          source: 'foopee',
-          title: bands.length > 0 ? bands[0] : venue,
-          venue,
-          city,
-          details,
-          bands,
-          link: null
-        });
-      }
-    });  
-  }
-  });
-  return events;
-}
-
-
-
-
-
-
-
-
-
-
-// Parse posh.vip events via API (no Puppeteer needed!)
-async function scrapePoshVip() {
-  console.log('Fetching events from posh.vip...');
-  
-  try {
-    const allEvents = [];
-    const timeRanges = ['This Week', 'Next Week', 'This Month'];
-    
-    for (const when of timeRanges) {
-      console.log(`  Fetching ${when}...`);
-      
-      const params = {
-        sort: "Trending",
-        when: when,
-        search: "",
-        location: {
-          type: "custom",
-          location: "San Francisco, CA, USA",
-          lat: 37.7749295,
-          long: -122.4194155
-        },
-        secondaryFilters: [],
-        where: "San Francisco, CA, USA",
-        coordinates: [-122.4194155, 37.7749295],
-        limit: 100,
-        clientTimezone: "America/Los_Angeles"
-      };
-      
-      const url = `https://posh.vip/api/web/v2/trpc/events.fetchMarketplaceEvents?input=${encodeURIComponent(JSON.stringify(params))}`;
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        console.log(`  ⚠️  Failed to fetch (${response.status})`);
-        continue;
-      }
-      
-      const data = await response.json();
-      const events = data?.result?.data?.events || [];
-      console.log(`  Found ${events.length} events`);
-      allEvents.push(...events);
-    }
-    
-    const uniqueEvents = [];
-    const seen = new Set();
-    allEvents.forEach(event => {
-      if (!seen.has(event._id)) {
-        seen.add(event._id);
-        uniqueEvents.push(event);
-      }
-    });
-    
-    const formattedEvents = [];
-    const todayStr = getTodayPacificDateString();
-    
-    for (const event of uniqueEvents) {
-      const dateStr = event.startUtc;
-      if (!dateStr) continue;
-      
-      const date = parseDateString(dateStr);
-      if (!date) continue;
-      
-      if (date < todayStr) continue;
-      
-      const startDate = new Date(dateStr);
-      const hours = startDate.getHours();
-      const minutes = startDate.getMinutes();
-      const ampm = hours >= 12 ? 'PM' : 'AM';
-      const displayHours = hours % 12 || 12;
-      const time = `${displayHours}:${String(minutes).padStart(2, '0')} ${ampm}`;
-      
-      const fullText = `${event.name} ${event.venue?.name || ''} ${event.description || ''}`.toLowerCase();
-      if (fullText.includes('21+') || fullText.includes('(21+)') || fullText.includes('21 +')) {
-        continue;
-      }
-      
-      formattedEvents.push({
-        date,
-        time,
-        source: 'posh.vip',
-        title: event.name,
-        venue: event.venue?.name || '',
-        city: 'San Francisco',
-        details: '',
-        bands: [],
-        link: `https://posh.vip/e/${event.url}`
-      });
-    }
-    
-    console.log(`Parsed ${formattedEvents.length} events from posh.vip`);
-    return formattedEvents;
-    
-  } catch (error) {
-    console.error('Error scraping posh.vip:', error.message);
-    return [];
-  }
-}
-
-// Electronic music keywords for Partiful category detection
-const ELECTRONIC_KEYWORDS = [
-  'electronic', 'dj', 'techno', 'house', 'edm', 'rave', 'drum and bass',
-  'dubstep', 'trance', 'drum & bass', 'd&b', 'dnb', 'breakbeat', 'ambient',
-  'idm', 'electro', 'disco house', 'deep house', 'tech house', 'minimal'
+const path = require('path');
+const config = require('./config');
+const { getSource, loadSources } = require('./sources');
+const { getTodayPacificDateString, uniqueEventIds } = require('./lib/util');
+const { configureHttp } = require('./lib/http');
+const { mapWithConcurrency } = require('./lib/pool');
+const { AGE_LABELS, applyAgePolicy } = require('./lib/age');
+const { applyRegionPolicy } = require('./lib/cities');
+const { classifyGenres, genreLabel } = require('./lib/genres');
+const { formatPrice } = require('./lib/price');
+const { mapsUrl, resolveVenues } = require('./lib/venues');
+const { mapSvg } = require('./lib/map');
+const { dedupeEvents } = require('./lib/dedupe');
+const { writeEventsJSON } = require('./lib/export-json');
+const { eventIcsPath, writeCalendars } = require('./lib/ical');
+const { updateHistory } = require('./lib/history');
+const { writeAtomFeed } = require('./lib/atom');
+const { eventPagePath, writeEventPages } = require('./lib/event-pages');
+const { SEARCH_STOPWORDS, writeSearchIndex } = require('./lib/search');
+const { checkThresholds, loadReport, nextBaseline, runSource, writeReport } = require('./lib/report');
+const { restoreFromSite } = require('./lib/previous-build');
+
+// Page age filters (`age.defaultFilter` picks the initial one)
+const AGE_FILTERS = [
+  { value: 'any', label: 'Any age' },
+  { value: 'under-21', label: 'Under 21' },
+  { value: 'all-ages', label: 'All ages' }
 ];
 
-function detectPartifulCategory(title, details) {
-  const text = `${title || ''} ${details || ''}`.toLowerCase();
-  return ELECTRONIC_KEYWORDS.some(kw => text.includes(kw)) ? 'electronic' : 'live';
-}
-
-// Parse Partiful events from discover/sf page. Uses __NEXT_DATA__ in the HTML so we
-// never depend on a Next.js build ID (which changes on every Partiful deploy).
-const PARTIFUL_DISCOVER_URL = 'https://partiful.com/discover/sf';
-
-async function parsePartiful() {
-  const todayStr = getTodayPacificDateString();
-  const bayAreaCities = ['san francisco', 'sf', 'oakland', 'berkeley', 'san jose', 'bay area', 'emeryville'];
-
-  try {
-    const html = await fetchHTML(PARTIFUL_DISCOVER_URL);
-    if (!html) {
-      console.log('  Partiful: Failed to fetch discover page, skipping.');
-      return [];
-    }
-    const $ = cheerio.load(html);
-    const nextDataScript = $('#__NEXT_DATA__').html();
-    if (!nextDataScript) {
-      console.log('  Partiful: No __NEXT_DATA__ in page, skipping.');
-      return [];
-    }
-    const data = JSON.parse(nextDataScript);
-    const pp = data?.props?.pageProps;
-    if (!pp) {
-      console.log('  Partiful: No pageProps in response, skipping.');
-      return [];
-    }
-
-    // Collect event objects from feedItems and from each section's items (dedupe by id)
-    const seenIds = new Set();
-    const rawEvents = [];
-    for (const item of pp.feedItems || []) {
-      if (item?.event && !seenIds.has(item.event.id)) {
-        seenIds.add(item.event.id);
-        rawEvents.push(item.event);
-      }
-    }
-    for (const section of pp.sections || []) {
-      for (const item of section.items || []) {
-        if (item?.event && !seenIds.has(item.event.id)) {
-          seenIds.add(item.event.id);
-          rawEvents.push(item.event);
-        }
-      }
-    }
-
-    if (rawEvents.length === 0) {
-      console.log('  Partiful: No events in response, skipping.');
-      return [];
-    }
-
-    const events = [];
-    for (const e of rawEvents) {
-      const title = e.title ?? '';
-      const venue = e.locationInfo?.mapsInfo?.name ?? '';
-      const addressLines = e.locationInfo?.mapsInfo?.addressLines || e.locationInfo?.displayAddressLines || [];
-      const cityStr = (e.locationInfo?.mapsInfo?.approximateLocation || addressLines[addressLines.length - 1] || '').toString().toLowerCase();
-      const fullText = `${title} ${venue} ${e.description || ''}`.toLowerCase();
-
-      if (fullText.includes('21+') || fullText.includes('21 and over') || fullText.includes('(21+)') || fullText.includes('21 & up')) continue;
-      const inBayArea = bayAreaCities.some(c => cityStr.includes(c) || fullText.includes(c));
-      if (!inBayArea) continue;
-
-      const dateStr = e.startDate;
-      if (!dateStr) continue;
-      const d = new Date(dateStr);
-      if (isNaN(d.getTime())) continue;
-      // Partiful stores UTC; format date and time in event timezone (America/Los_Angeles for discover/sf).
-      // Use formatToParts so we always get YYYY-MM-DD (toLocaleDateString format can vary by env and break filteredDates).
-      const tz = e.timezone || 'America/Los_Angeles';
-      const parts = new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(d);
-      const get = (type) => (parts.find(p => p.type === type) || {}).value || '';
-      const date = `${get('year')}-${get('month')}-${get('day')}`;
-      if (date < todayStr) continue;
-
-      let time = '';
-      const timeParts = d.toLocaleTimeString('en-US', { timeZone: tz, hour: 'numeric', minute: '2-digit', hour12: true });
-      if (timeParts) time = timeParts.replace(/\s/g, ' ').trim();
-
-      const details = (e.description || '').slice(0, 200);
-      const link = `https://partiful.com/e/${e.id}`;
-      const category = detectPartifulCategory(title, details);
-      const city = cityStr || null;
-
-      events.push({
-        date,
-        time,
-        source: 'partiful',
-        title: title || 'Event',
-        venue,
-        city,
-        details,
-        bands: [],
-        link,
-        category
-      });
+// Build every enabled metro in config.metros. A metro that fails keeps its last
+// good site; the others still build, and the run exits non-zero at the end.
+async function build() {
+  const offline = process.argv.includes('--offline');
+  configureHttp({ ...config.http, ttlMinutes: config.http.ttlMinutes.default, offline });
+  if (offline) console.log('Offline: building from the HTTP cache only');
+  const sources = loadSources(config.sources);
+  const metros = config.metros.filter(metro => metro.enabled !== false);
+  const failed = [];
+
+  for (const metro of metros) {
+    try {
+      await buildMetro(metro, sources, metros);
+    } catch (error) {
+      console.error(`${metro.title} failed:`, error.message);
+      failed.push(metro.id);
     }
-
-    return events;
-  } catch (error) {
-    console.log('  Partiful scraping skipped:', error.message);
-    return [];
   }
-}
-
-// Wait helper (replaces deprecated page.waitForTimeout in Puppeteer 22+)
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-// Parse posh.vip events using Puppeteer
-async function parsePoshVip() {
-  console.log('\n=== Scraping posh.vip ===');
-
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ]
-    });
-
-    const page = await browser.newPage();
-
-    await page.setViewport({ width: 1920, height: 1080 });
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-    const location = {
-      type: 'preset',
-      location: 'San Francisco',
-      lat: 37.7749,
-      long: -122.4194
-    };
-
-    const url = `https://posh.vip/explore?location=${encodeURIComponent(JSON.stringify(location))}`;
-
-    console.log(`  Navigating to posh.vip...`);
-
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 30000
-    });
 
-    await sleep(3000);
-
-    console.log(`  Extracting event data...`);
-
-    const rawEvents = await page.evaluate(() => {
-      const eventElements = document.querySelectorAll('[data-testid="event-card"], .event-card, article');
-      const results = [];
-
-      eventElements.forEach((el, index) => {
-        try {
-          const titleEl = el.querySelector('h1, h2, h3, h4, [class*="title"], [class*="Title"]');
-          const dateEl = el.querySelector('time, [class*="date"], [class*="Date"]');
-          const venueEl = el.querySelector('[class*="venue"], [class*="Venue"], [class*="location"], [class*="Location"]');
-          const linkEl = el.querySelector('a');
-
-          const title = titleEl?.textContent?.trim();
-          const dateText = dateEl?.textContent?.trim() || dateEl?.getAttribute('datetime');
-          const venue = venueEl?.textContent?.trim();
-          const link = linkEl?.href;
-
-          const allText = el.textContent.toLowerCase();
-
-          if (!title || !dateText) {
-            return;
-          }
-
-          if (allText.includes('21+') || allText.includes('21 +') || allText.includes('21 and over')) {
-            return;
-          }
-
-          results.push({
-            title,
-            dateText,
-            venue,
-            link
-          });
-        } catch (err) {
-          console.error(`Error parsing event ${index}:`, err.message);
-        }
-      });
-
-      return results;
-    });
-
-    await browser.close();
-    browser = null;
-
-    console.log(`  Found ${rawEvents.length} raw events from posh.vip`);
-
-    const formattedEvents = [];
-
-    rawEvents.forEach((event, index) => {
-      try {
-        const date = parsePoshDate(event.dateText);
-
-        if (!date) {
-          console.log(`  Warning: Could not parse date "${event.dateText}" for event: ${event.title}`);
-          return;
-        }
-
-        let time = null;
-        const timeMatch = event.dateText.match(/(\d{1,2}:\d{2}\s*(?:AM|PM|am|pm)?)/);
-        if (timeMatch) {
-          time = timeMatch[1];
-        }
-
-        formattedEvents.push({
-          date,
-          time,
-          source: 'posh',
-          title: event.title,
-          venue: event.venue || '',
-          city: 'San Francisco',
-          details: '',
-          bands: [],
-          link: event.link || null
-        });
-      } catch (err) {
-        console.error(`Error formatting event ${index}:`, err.message);
-      }
-    });
-
-    console.log(`  Successfully formatted ${formattedEvents.length} posh.vip events`);
-    return formattedEvents;
-  } catch (error) {
-    console.error(`  ❌ Error scraping posh.vip: ${error.message}`);
-    console.error(`  Continuing without posh.vip events...`);
-    return [];
-  } finally {
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (e) {}
-    }
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${metros.length} metro(s) failed: ${failed.join(', ')}`);
   }
 }
 
-function parsePoshDate(dateStr) {
-  if (!dateStr) return null;
-
-  try {
-    let cleaned = dateStr.replace(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s*/i, '');
-    const dateObj = new Date(cleaned);
-
-    if (isNaN(dateObj.getTime())) {
-      const currentYear = new Date().getFullYear();
-      const withYear = `${cleaned}, ${currentYear}`;
-      const dateObj2 = new Date(withYear);
-
-      if (!isNaN(dateObj2.getTime())) {
-        const year = dateObj2.getFullYear();
-        const month = String(dateObj2.getMonth() + 1).padStart(2, '0');
-        const day = String(dateObj2.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
-      }
-
-      return null;
+// Fetch, merge and write one metro's site into its outDir
+async function buildMetro(metro, sources, metros) {
+  console.log(`\n=== ${metro.title} ===`);
+  const outDir = metro.outDir || metro.id;
+  fs.mkdirSync(outDir, { recursive: true });
+  const todayStr = getTodayPacificDateString(metro.timezone);
+  const health = { ...config.health, ...metro.health };
+  const reportFile = path.join(outDir, health.reportFile);
+  const fetchedEvents = [];
+  const report = { generatedAt: new Date().toISOString(), metro: metro.id, sources: [], unmatchedVenues: {} };
+  const siteUrl = config.feed.siteUrl && `${config.feed.siteUrl.replace(/\/$/, '')}${metroPath(metro)}`;
+
+  // Fetch and parse the metro's sources concurrently; results stay in config
+  // order. One failing or hung source never stops the build.
+  const metroSources = sources.filter(s => metro.sources[s.name]);
+  const results = await mapWithConcurrency(metroSources, config.http.concurrency, source => {
+    console.log(`Fetching events from ${source.label}...`);
+    const options = {
+      timezone: metro.timezone,
+      location: metro.location,
+      coordinates: metro.coordinates,
+      ttlMinutes: config.http.ttlMinutes[source.name] ?? config.http.ttlMinutes.default,
+      timeoutMs: config.http.sourceTimeoutMs[source.name] ?? config.http.sourceTimeoutMs.default,
+      ...metro.sources[source.name]
+    };
+    return runSource(source, todayStr, (events, drops) => (
+      resolveVenues(applyRegionPolicy(events, metro.region, drops), report.unmatchedVenues)
+    ), options);
+  });
+  results.forEach(({ events, stats }) => {
+    if (stats.status === 'failed') {
+      console.log(`${stats.label} skipped:`, stats.error);
+    } else {
+      console.log(`Parsed ${events.length} events from ${stats.label} in ${(stats.durationMs / 1000).toFixed(1)}s`);
     }
+    fetchedEvents.push(...events);
+    report.sources.push(stats);
+  });
 
-    const year = dateObj.getFullYear();
-    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-    const day = String(dateObj.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-  } catch (err) {
-    console.error(`Date parsing error for "${dateStr}":`, err.message);
-    return null;
+  // Venues missing from data/venues.json, busiest first
+  const unmatched = Object.entries(report.unmatchedVenues).sort((a, b) => b[1] - a[1]);
+  if (unmatched.length > 0) {
+    console.log(`${unmatched.length} venue(s) not in data/venues.json:`);
+    unmatched.forEach(([venue, n]) => console.log(`  ${venue}: ${n} event(s)`));
   }
-}
 
-// Main build function
-async function build() {
-  console.log('Fetching events from 19hz.info...');
-  const html19hz = await fetchHTML('https://19hz.info/eventlisting_BayArea.php');
-  let events19hz = [];
-  if (html19hz) {
-    events19hz = parse19hz(html19hz);
-    console.log(`Parsed ${events19hz.length} events from 19hz`);
-  }
-  
-  console.log('Fetching events from Foopee...');
-  const foopeeEvents = [];
-  for (let week = 0; week < 8; week++) {
-    const url = `http://www.foopee.com/punk/the-list/by-date.${week}.html`;
-    console.log(`  Fetching week ${week}...`);
-    const html = await fetchHTML(url);
-    if (html) {
-      const pageEvents = parseFoopeePage(html);
-      foopeeEvents.push(...pageEvents);
+  // The same show listed on several sources becomes one event
+  // (IDs that still collide get a suffix so no two events share a page or calendar file)
+  const mergedEvents = uniqueEventIds(dedupeEvents(fetchedEvents, config.dedupe));
+  report.mergedDuplicates = fetchedEvents.length - mergedEvents.length;
+
+  // Age policy runs after merging so a restriction listed on any source counts
+  report.ageDropped = {};
+  const allEvents = applyAgePolicy(mergedEvents, config.age.include, report.ageDropped);
+  report.totalEvents = allEvents.length;
+  Object.entries(report.ageDropped).forEach(([reason, n]) => console.log(`Left out ${n} events (${reason}) per age policy`));
+
+  // Record source health, and stop before overwriting the site if a source broke
+  await restoreFromSite(reportFile, siteUrl && `${siteUrl}${health.reportFile}`);
+  const previousReport = loadReport(reportFile);
+  report.failures = checkThresholds(report, previousReport, health);
+  report.baseline = nextBaseline(report, previousReport, health);
+  writeReport(report, reportFile);
+  if (report.failures.length > 0) {
+    report.failures.forEach(f => console.error(`  ❌ ${f}`));
+    if (health.failBuild) {
+      throw new Error(`${report.failures.length} source(s) below health thresholds; see ${reportFile}`);
     }
   }
-  console.log(`Parsed ${foopeeEvents.length} events from Foopee`);
-
-  // Fetch posh.vip events (API-based, no Puppeteer)
-  const poshEvents = await scrapePoshVip();
-  console.log(`Parsed ${poshEvents.length} events from posh.vip`);
-
-  // Fetch Partiful events (graceful if API unavailable)
-  console.log('Fetching events from Partiful...');
-  let partifulEvents = [];
-  try {
-    partifulEvents = await parsePartiful();
-    console.log(`Parsed ${partifulEvents.length} events from Partiful`);
-  } catch (err) {
-    console.log('Partiful skipped:', err.message);
-  }
-  
-  // Combine and group by date
-  const allEvents = [...events19hz, ...foopeeEvents, ...poshEvents, ...partifulEvents];
+  allEvents.forEach(event => {
+    event.genres = getGenres(event);
+  });
   
   // Group by date
   const eventsByDate = {};
@@ -740,41 +137,82 @@ async function build() {
   // Sort dates
   const sortedDates = Object.keys(eventsByDate).sort();
   
-  // Sort events within each date by time
+  // Sort events within each date by start time ("HH:MM", so string order is clock order)
   sortedDates.forEach(date => {
     eventsByDate[date].sort((a, b) => {
-      if (!a.time && !b.time) return 0;
-      if (!a.time) return 1;
-      if (!b.time) return -1;
-      return a.time.localeCompare(b.time);
+      if (!a.start && !b.start) return 0;
+      if (!a.start) return 1;
+      if (!b.start) return -1;
+      return a.start.localeCompare(b.start);
     });
   });
   
   // Generate HTML
-  generateHTML(eventsByDate, sortedDates);
+  generateHTML(eventsByDate, sortedDates, report, metro, metros);
+  
+  // Machine-readable copy of the same upcoming events (see events.schema.json)
+  const upcomingEvents = [];
+  sortedDates.filter(date => date >= todayStr).forEach(date => upcomingEvents.push(...eventsByDate[date]));
+  writeEventsJSON(upcomingEvents, path.join(outDir, 'events.json'), metro.timezone);
+  writeSearchIndex(upcomingEvents, path.join(outDir, 'search-index.json'));
+  writeCalendars(upcomingEvents, outDir, {
+    title: metro.title,
+    timeZone: metro.timezone,
+    genreLabel: id => genreLabel(id, config.genres.taxonomy)
+  });
+  
+  writeEventPages(upcomingEvents, outDir, {
+    title: metro.title,
+    url: siteUrl,
+    genreLabel: id => genreLabel(id, config.genres.taxonomy)
+  });
+
+  // Diff against the previous build for the new-listings feed
+  const stateFile = path.join(outDir, config.feed.stateFile);
+  await restoreFromSite(stateFile, siteUrl && `${siteUrl}${config.feed.stateFile}`);
+  const history = updateHistory(upcomingEvents, stateFile, todayStr);
+  const feedCount = writeAtomFeed(history.events, {
+    ...config.feed,
+    outDir,
+    siteUrl,
+    title: metro.title,
+    area: metro.area,
+    id: `urn:sf-event-agg:feed:${metro.id}:new-events`
+  });
+  console.log(`${history.newCount} new events since the last build (${feedCount} in ${config.feed.file})`);
   
-  console.log(`\nBuild complete! Generated index.html with ${allEvents.length} events across ${sortedDates.length} dates.`);
+  console.log(`\n${metro.title} complete! Generated ${path.join(outDir, 'index.html')}, event pages, events.json, events.ics and ${config.feed.file} with ${allEvents.length} events across ${sortedDates.length} dates.`);
 }
 
-// Return comma-separated genre tags for an event (multi-genre support)
+// URL path a metro's site is served from: "/" for the root site, "/la/" for outDir "la"
+function metroPath(metro) {
+  const outDir = (metro.outDir || metro.id).replace(/^\.\/?|\/$/g, '');
+  return outDir ? `/${outDir}/` : '/';
+}
+
+// Genres from the config.genres taxonomy, else the source's defaults
 function getGenres(event) {
-  if (event.source === '19hz') return 'electronic,edm,raves';
-  if (event.source === 'foopee') return 'punk,rock';
-  // Partiful, Posh, etc.: use category when present
-  const cat = (event.category || '').toLowerCase();
-  if (cat === 'electronic') return 'electronic,edm,raves';
-  return 'punk,rock';
+  const source = getSource(event.source);
+  return classifyGenres(event, config.genres.taxonomy, source ? source.defaultGenres : []);
 }
 
 // Generate HTML output
-function generateHTML(eventsByDate, sortedDates) {
-  const todayStr = getTodayPacificDateString();
+function generateHTML(eventsByDate, sortedDates, report, metro, metros = [metro]) {
+  const todayStr = getTodayPacificDateString(metro.timezone);
+  // Pages in a subdirectory resolve their relative links (events.ics, feed.xml) from there
+  const baseTag = metroPath(metro) === '/' ? '' : `    <base href="${escapeHtml(metroPath(metro))}">\n`;
+  const upcoming = sortedDates.filter(date => date >= todayStr).flatMap(date => eventsByDate[date]);
+  const genreChips = genreChipsHtml(upcoming);
+  const cityChips = cityChipsHtml(upcoming);
+  const basemap = metro.basemap ? JSON.parse(fs.readFileSync(path.join(__dirname, metro.basemap), 'utf8')) : null;
+  const ageChips = AGE_FILTERS.map(f => `            <button class="age-chip${f.value === config.age.defaultFilter ? ' active' : ''}" data-age-filter="${f.value}">${f.label}</button>`).join('\n');
   let html = `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>SF MUSIC EVENTS</title>
+${baseTag}    <title>${escapeHtml(metro.title.toUpperCase())}</title>
+    <link rel="alternate" type="application/atom+xml" title="${escapeHtml(metro.title)}: New Listings" href="feed.xml">
     <link href="https://fonts.googleapis.com/css2?family=Bebas+Neue&family=Azeret+Mono:wght@400;600&family=DM+Mono:wght@300;400&display=swap" rel="stylesheet">
     <style>
         :root {
@@ -902,6 +340,29 @@ function generateHTML(eventsByDate, sortedDates) {
             font-weight: 600;
         }
 
+        .metro-nav {
+            display: flex;
+            gap: 16px;
+            margin-top: 12px;
+            font-family: 'Azeret Mono', monospace;
+            font-size: 0.75rem;
+            letter-spacing: 0.15em;
+            text-transform: uppercase;
+        }
+
+        .metro-nav a {
+            color: var(--white);
+            text-decoration: none;
+        }
+
+        .metro-nav a:hover {
+            color: var(--electric-blue);
+        }
+
+        .metro-nav a.active {
+            color: var(--acid-green);
+        }
+
         /* Filter bar */
         .filters {
             display: flex;
@@ -953,8 +414,166 @@ function generateHTML(eventsByDate, sortedDates) {
             margin-bottom: 16px;
         }
 
-        /* Genre chips (secondary filter) */
-        .genre-filters {
+        /* Date range picker: a month calendar shaded by how many shows match */
+        .date-picker {
+            border: 1px solid var(--concrete);
+            padding: 20px;
+            margin-bottom: 24px;
+            max-width: 520px;
+            font-family: 'Azeret Mono', monospace;
+        }
+
+        .date-picker[hidden] {
+            display: none;
+        }
+
+        .date-picker-head {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            flex-wrap: wrap;
+            margin-bottom: 16px;
+        }
+
+        .cal-month {
+            flex: 1;
+            color: var(--acid-green);
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+            font-size: 0.85rem;
+            text-align: center;
+        }
+
+        .cal-nav {
+            background: transparent;
+            border: 1px solid var(--concrete);
+            color: var(--white);
+            padding: 4px 12px;
+            cursor: pointer;
+        }
+
+        .cal-nav:disabled {
+            opacity: 0.3;
+            cursor: default;
+        }
+
+        .date-inputs {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+            margin-bottom: 16px;
+            font-size: 0.7rem;
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+            color: rgba(255, 255, 255, 0.6);
+        }
+
+        .date-inputs input {
+            font-family: 'Azeret Mono', monospace;
+            background: transparent;
+            border: 1px solid var(--concrete);
+            color: var(--white);
+            padding: 4px 8px;
+            margin-left: 6px;
+            color-scheme: dark;
+        }
+
+        .cal-grid {
+            display: grid;
+            grid-template-columns: repeat(7, 1fr);
+            gap: 4px;
+        }
+
+        .cal-dow {
+            font-size: 0.65rem;
+            text-align: center;
+            color: rgba(255, 255, 255, 0.5);
+            text-transform: uppercase;
+        }
+
+        .cal-day {
+            font-family: 'Azeret Mono', monospace;
+            border: 1px solid transparent;
+            color: var(--white);
+            padding: 6px 0;
+            cursor: pointer;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            font-size: 0.8rem;
+        }
+
+        .cal-day:disabled {
+            opacity: 0.3;
+            cursor: default;
+        }
+
+        .cal-count {
+            font-size: 0.6rem;
+            min-height: 1em;
+        }
+
+        .cal-l0 { background: var(--concrete); }
+        .cal-l1 { background: rgba(204, 255, 0, 0.15); }
+        .cal-l2 { background: rgba(204, 255, 0, 0.3); }
+        .cal-l3 { background: rgba(204, 255, 0, 0.5); color: var(--deep-black); }
+        .cal-l4 { background: rgba(204, 255, 0, 0.75); color: var(--deep-black); }
+
+        .cal-day.today {
+            border-color: var(--white);
+        }
+
+        .cal-day.in-range {
+            border-color: var(--electric-blue);
+            box-shadow: inset 0 0 0 1px var(--electric-blue);
+        }
+
+        .cal-hint {
+            margin-top: 12px;
+            font-family: 'DM Mono', monospace;
+            font-size: 0.7rem;
+            color: rgba(255, 255, 255, 0.5);
+        }
+
+        /* Search */
+        .search-bar {
+            display: flex;
+            align-items: center;
+            gap: 15px;
+            margin-bottom: 24px;
+            animation: slideDown 0.8s cubic-bezier(0.16, 1, 0.3, 1) 0.15s backwards;
+        }
+
+        .search-bar input {
+            flex: 1;
+            font-family: 'Azeret Mono', monospace;
+            font-size: 0.9rem;
+            background: transparent;
+            border: 1px solid var(--concrete);
+            color: var(--white);
+            padding: 12px 16px;
+            letter-spacing: 0.05em;
+        }
+
+        .search-bar input:focus {
+            outline: none;
+            border-color: var(--acid-green);
+        }
+
+        .search-count {
+            font-family: 'Azeret Mono', monospace;
+            font-size: 0.75rem;
+            color: var(--electric-blue);
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+            white-space: nowrap;
+        }
+
+        /* Genre and age chips (secondary filters) */
+        .genre-filters,
+        .city-filters,
+        .age-filters,
+        .price-filters {
             display: flex;
             align-items: center;
             gap: 10px;
@@ -963,6 +582,12 @@ function generateHTML(eventsByDate, sortedDates) {
             animation: slideDown 0.8s cubic-bezier(0.16, 1, 0.3, 1) 0.25s backwards;
         }
 
+        .genre-filters,
+        .city-filters,
+        .age-filters {
+            margin-bottom: 16px;
+        }
+
         .genre-label {
             font-family: 'Azeret Mono', monospace;
             font-size: 0.75rem;
@@ -971,7 +596,10 @@ function generateHTML(eventsByDate, sortedDates) {
             text-transform: uppercase;
         }
 
-        .genre-chip {
+        .genre-chip,
+        .city-chip,
+        .age-chip,
+        .price-chip {
             font-family: 'Azeret Mono', monospace;
             background: transparent;
             border: 1px solid var(--concrete);
@@ -986,7 +614,10 @@ function generateHTML(eventsByDate, sortedDates) {
             overflow: hidden;
         }
 
-        .genre-chip::before {
+        .genre-chip::before,
+        .city-chip::before,
+        .age-chip::before,
+        .price-chip::before {
             content: '';
             position: absolute;
             top: 0;
@@ -999,12 +630,24 @@ function generateHTML(eventsByDate, sortedDates) {
         }
 
         .genre-chip:hover::before,
-        .genre-chip.active::before {
+        .genre-chip.active::before,
+        .city-chip:hover::before,
+        .city-chip.active::before,
+        .age-chip:hover::before,
+        .age-chip.active::before,
+        .price-chip:hover::before,
+        .price-chip.active::before {
             left: 0;
         }
 
         .genre-chip:hover,
-        .genre-chip.active {
+        .genre-chip.active,
+        .city-chip:hover,
+        .city-chip.active,
+        .age-chip:hover,
+        .age-chip.active,
+        .price-chip:hover,
+        .price-chip.active {
             color: var(--deep-black);
             border-color: var(--electric-blue);
         }
@@ -1017,10 +660,123 @@ function generateHTML(eventsByDate, sortedDates) {
             margin-bottom: 60px;
         }
 
+        .events-grid[hidden] {
+            display: none;
+        }
+
+        /* Agenda view: the same cards in one column under a sticky header per day */
+        .day-header {
+            display: none;
+        }
+
+        .events-grid.agenda {
+            display: block;
+            max-width: 960px;
+        }
+
+        .events-grid.agenda .day-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: baseline;
+            position: sticky;
+            top: 0;
+            z-index: 3;
+            background: var(--deep-black);
+            border-bottom: 1px solid var(--acid-green);
+            padding: 14px 0 8px;
+            margin: 24px 0 12px;
+            font-family: 'Azeret Mono', monospace;
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+        }
+
+        .events-grid.agenda .day-header:first-child {
+            margin-top: 0;
+        }
+
+        .day-header-date {
+            color: var(--acid-green);
+            font-size: 0.95rem;
+            font-weight: 600;
+        }
+
+        .day-header-count {
+            color: var(--electric-blue);
+            font-size: 0.75rem;
+        }
+
+        .events-grid.agenda .event-card {
+            margin-bottom: 12px;
+        }
+
+        .events-grid.agenda .event-date,
+        .events-grid.agenda .event-day {
+            display: none;
+        }
+
+        .events-grid.agenda .event-header {
+            padding: 12px 20px 0;
+            border-bottom: none;
+        }
+
+        .events-grid.agenda .event-body {
+            padding: 8px 20px 16px;
+        }
+
+        /* Compact: one line per show, like Foopee's list */
+        .events-grid.compact .event-card {
+            margin-bottom: 0;
+            border-width: 0 0 1px;
+            background: none;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            animation: none;
+        }
+
+        .events-grid.compact .event-card::before {
+            display: none;
+        }
+
+        .events-grid.compact .event-card:hover {
+            box-shadow: none;
+            background: var(--concrete);
+        }
+
+        .events-grid.compact .event-header,
+        .events-grid.compact .event-body,
+        .events-grid.compact .event-title,
+        .events-grid.compact .event-venue,
+        .events-grid.compact .event-tags {
+            display: inline;
+            padding: 0;
+            margin: 0 12px 0 0;
+        }
+
+        .events-grid.compact .event-header {
+            display: inline-block;
+            min-width: 90px;
+            padding: 8px 0;
+        }
+
+        .events-grid.compact .event-time {
+            text-align: left;
+        }
+
+        .events-grid.compact .event-title {
+            font-size: 0.9rem;
+        }
+
+        .events-grid.compact .event-links,
+        .events-grid.compact .event-actions {
+            display: none;
+        }
+
+        /* Primary link stretched over the whole card; other links sit above it */
         .event-card-link {
-            text-decoration: none;
-            color: inherit;
-            display: block;
+            position: absolute;
+            inset: 0;
+            z-index: 1;
         }
 
         .event-card {
@@ -1151,6 +907,238 @@ function generateHTML(eventsByDate, sortedDates) {
             opacity: 0.7;
         }
 
+        .event-tags {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+        }
+
+        .event-age,
+        .event-price {
+            display: inline-block;
+            border: 1px solid var(--concrete);
+            color: var(--white);
+            padding: 2px 8px;
+            font-family: 'Azeret Mono', monospace;
+            font-size: 0.7rem;
+            letter-spacing: 0.1em;
+            text-transform: uppercase;
+        }
+
+        .event-age.age-21,
+        .event-price.sold-out {
+            border-color: var(--warning-red);
+            color: var(--warning-red);
+        }
+
+        .event-price.free {
+            border-color: var(--acid-green);
+            color: var(--acid-green);
+        }
+
+        .event-links {
+            font-size: 0.75rem;
+            color: var(--concrete);
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+            margin-top: 12px;
+        }
+
+        .event-links a {
+            color: var(--acid-green);
+            text-decoration: none;
+        }
+
+        .event-links a:hover {
+            text-decoration: underline;
+        }
+
+        .event-links,
+        .event-actions {
+            position: relative;
+            z-index: 2;
+        }
+
+        .event-actions {
+            margin-top: 12px;
+        }
+
+        .event-details,
+        .event-ics,
+        .event-map,
+        .calendar-subscribe {
+            font-family: 'Azeret Mono', monospace;
+            font-size: 0.7rem;
+            color: var(--electric-blue);
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+            text-decoration: none;
+            border-bottom: 1px dotted var(--electric-blue);
+        }
+
+        .event-details:hover,
+        .event-ics:hover,
+        .event-map:hover,
+        .calendar-subscribe:hover {
+            color: var(--acid-green);
+            border-color: var(--acid-green);
+        }
+
+        .calendar-subscribe {
+            margin-left: auto;
+        }
+
+        .event-details {
+            margin-right: 16px;
+        }
+
+        .event-map {
+            margin-left: 16px;
+        }
+
+        /* Map view */
+        .view-toggle {
+            display: flex;
+            gap: 15px;
+            margin-left: auto;
+        }
+
+        .events-map {
+            display: grid;
+            grid-template-columns: minmax(0, 3fr) minmax(220px, 1fr);
+            gap: 20px;
+            margin-bottom: 60px;
+        }
+
+        .events-map[hidden] {
+            display: none;
+        }
+
+        .map-svg {
+            width: 100%;
+            height: auto;
+            border: 1px solid var(--concrete);
+        }
+
+        .map-water {
+            fill: #06141A;
+        }
+
+        .map-land {
+            fill: var(--concrete);
+            stroke: #2A2A2A;
+            stroke-width: 1;
+        }
+
+        .map-label {
+            font-family: 'Azeret Mono', monospace;
+            font-size: 13px;
+            fill: rgba(255, 255, 255, 0.35);
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+            text-anchor: middle;
+            pointer-events: none;
+        }
+
+        .map-pin {
+            cursor: pointer;
+        }
+
+        .map-pin circle {
+            fill: var(--acid-green);
+            stroke: var(--deep-black);
+            stroke-width: 2;
+        }
+
+        .map-pin:hover circle,
+        .map-pin:focus circle,
+        .map-pin.selected circle {
+            fill: var(--electric-blue);
+        }
+
+        .map-pin-count {
+            font-family: 'Azeret Mono', monospace;
+            font-size: 11px;
+            font-weight: 600;
+            fill: var(--deep-black);
+            text-anchor: middle;
+            pointer-events: none;
+        }
+
+        .map-panel {
+            font-family: 'DM Mono', monospace;
+            font-size: 0.85rem;
+            border: 1px solid var(--concrete);
+            padding: 20px;
+            align-self: start;
+        }
+
+        .map-panel h3 {
+            font-family: 'Azeret Mono', monospace;
+            color: var(--electric-blue);
+            font-size: 0.9rem;
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+            margin-bottom: 12px;
+        }
+
+        .map-panel ul {
+            list-style: none;
+        }
+
+        .map-panel li {
+            margin-bottom: 10px;
+        }
+
+        .map-panel a {
+            color: var(--white);
+        }
+
+        .map-hint,
+        .map-note,
+        .map-panel .map-when {
+            color: rgba(255, 255, 255, 0.5);
+        }
+
+        .map-note {
+            grid-column: 1 / -1;
+            font-family: 'DM Mono', monospace;
+            font-size: 0.75rem;
+        }
+
+        @media (max-width: 768px) {
+            .events-map {
+                grid-template-columns: 1fr;
+            }
+        }
+
+        /* Source status footer */
+        .source-status {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px 24px;
+            border-top: 1px solid var(--concrete);
+            padding: 20px 0 80px;
+            font-family: 'Azeret Mono', monospace;
+            font-size: 0.7rem;
+            letter-spacing: 0.1em;
+            text-transform: uppercase;
+            color: var(--white);
+            opacity: 0.6;
+        }
+
+        .source-status .status-ok::before {
+            content: '● ';
+            color: var(--acid-green);
+        }
+
+        .source-status .status-empty::before,
+        .source-status .status-stale::before,
+        .source-status .status-failed::before {
+            content: '● ';
+            color: var(--warning-red);
+        }
+
         /* Live indicator */
         .live-indicator {
             position: fixed;
@@ -1235,33 +1223,79 @@ function generateHTML(eventsByDate, sortedDates) {
         }
     </style>
 </head>
-<body data-today="${todayStr}">
+<body data-today="${todayStr}" data-timezone="${escapeHtml(metro.timezone)}">
     <div class="container">
         <header>
-            <h1>SF MUSIC EVENTS</h1>
-            <div class="subtitle">Bay Area // All Ages // Live Aggregation</div>
-        </header>
+            <h1>${escapeHtml(metro.title.toUpperCase())}</h1>
+            <div class="subtitle">${escapeHtml(metro.area)} // Live Aggregation</div>
+${metroNavHtml(metro, metros)}        </header>
+
+        <div class="search-bar">
+            <input type="search" id="searchInput" placeholder="Search artists, venues, cities..." aria-label="Search events" autocomplete="off">
+            <span class="search-count" id="searchCount" aria-live="polite"></span>
+        </div>
 
         <!-- Primary time filters -->
         <div class="filters primary-filters">
             <button class="filter-btn" data-time-filter="tonight">Tonight</button>
             <button class="filter-btn" data-time-filter="weekend">This Weekend</button>
+            <button class="filter-btn" data-time-filter="next-weekend">Next Weekend</button>
+            <button class="filter-btn" data-time-filter="next-7-days">Next 7 Days</button>
+            <button class="filter-btn" data-time-filter="range">Pick Dates</button>
             <button class="filter-btn active" data-time-filter="all">All Events</button>
+            <div class="view-toggle">
+                <button class="filter-btn view-btn active" data-view="grid">Grid</button>
+                <button class="filter-btn view-btn" data-view="agenda">Agenda</button>
+                <button class="filter-btn view-btn" data-view="compact">Compact</button>
+${basemap ? `                <button class="filter-btn view-btn" data-view="map">Map</button>
+` : ''}            </div>
+        </div>
+
+        <div class="date-picker" id="datePicker" hidden>
+            <div class="date-picker-head">
+                <button class="cal-nav" id="calPrev" type="button" aria-label="Previous month">&larr;</button>
+                <span class="cal-month" id="calMonth"></span>
+                <button class="cal-nav" id="calNext" type="button" aria-label="Next month">&rarr;</button>
+            </div>
+            <div class="date-inputs">
+                <label>From<input type="date" id="dateFrom"></label>
+                <label>To<input type="date" id="dateTo"></label>
+            </div>
+            <div class="cal-grid" id="calGrid"></div>
+            <div class="cal-hint">Pick a day, then another to make it a range. Shading shows how many shows match the other filters.</div>
         </div>
 
         <!-- Secondary genre filters -->
         <div class="genre-filters">
             <span class="genre-label">FILTER BY:</span>
             <button class="genre-chip active" data-genre-filter="all">All</button>
-            <button class="genre-chip" data-genre-filter="electronic">Electronic</button>
-            <button class="genre-chip" data-genre-filter="punk">Punk/Rock</button>
-            <button class="genre-chip" data-genre-filter="raves">Raves</button>
-            <button class="genre-chip" data-genre-filter="edm">EDM</button>
+${genreChips}            <a class="calendar-subscribe" id="calendarSubscribe" href="events.ics">Subscribe (.ics)</a>
+        </div>
+
+${cityChips}
+        <div class="age-filters">
+            <span class="genre-label">AGE:</span>
+${ageChips}
+        </div>
+
+        <div class="price-filters">
+            <span class="genre-label">PRICE:</span>
+            <button class="price-chip active" data-price-filter="any">Any</button>
+            <button class="price-chip" data-price-filter="free">Free</button>
+            <button class="price-chip" data-price-filter="under-20">Under $20</button>
         </div>
 
         <div class="events-grid" id="eventsGrid">
             <!--EVENT_CARDS_PLACEHOLDER-->
         </div>
+${basemap ? `
+        <div class="events-map" id="eventsMap" hidden>
+            ${mapSvg(upcoming, basemap)}
+            <div class="map-panel" id="mapPanel"><div class="map-hint">Pick a pin to see its shows.</div></div>
+            <div class="map-note" id="mapNote"></div>
+        </div>
+` : ''}
+        <!--SOURCE_STATUS_PLACEHOLDER-->
     </div>
 
     <div class="live-indicator">
@@ -1273,21 +1307,85 @@ function generateHTML(eventsByDate, sortedDates) {
         document.addEventListener('DOMContentLoaded', function() {
             const timeFilterBtns = document.querySelectorAll('.filter-btn[data-time-filter]');
             const genreChipBtns = document.querySelectorAll('.genre-chip');
+            const cityChipBtns = document.querySelectorAll('.city-chip');
+            const ageChipBtns = document.querySelectorAll('.age-chip');
+            const priceChipBtns = document.querySelectorAll('.price-chip');
             const eventCards = document.querySelectorAll('.event-card');
-            const todayStr = document.body.dataset.today || '';
+            const viewBtns = document.querySelectorAll('.view-btn');
+            const eventsGrid = document.getElementById('eventsGrid');
+            const dayHeaders = document.querySelectorAll('.day-header');
+            const mapPins = document.querySelectorAll('.map-pin');
+            const cardsById = {};
+            eventCards.forEach(function(card) { cardsById[card.dataset.eventId] = card; });
+            const todayStr = metroToday();
+            const searchInput = document.getElementById('searchInput');
+            const datePicker = document.getElementById('datePicker');
+            const dateFromInput = document.getElementById('dateFrom');
+            const dateToInput = document.getElementById('dateTo');
+            const SEARCH_STOPWORDS = new Set(${JSON.stringify(SEARCH_STOPWORDS)});
+            var selectedPin = null;
+            // Custom range from the date picker, and the first day picked of one in progress
+            var dateRange = { from: '', to: '' };
+            var rangeStart = null;
+            var calMonth = todayStr.slice(0, 7);
+            var lastEventMonth = calMonth;
+            eventCards.forEach(function(card) {
+                var month = (card.dataset.eventDate || '').slice(0, 7);
+                if (month > lastEventMonth) lastEventMonth = month;
+            });
+            // Shows per date that pass every filter but the dates, for the calendar shading
+            var dayCounts = {};
+            // search-index.json once loaded: { ids, terms, termList (sorted) }; false if it can't be
+            var searchIndex = null;
+
+            // Today in the metro's timezone at view time, so a page built yesterday still knows what "tonight" is
+            function metroToday() {
+                try {
+                    return new Intl.DateTimeFormat('en-CA', { timeZone: document.body.dataset.timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+                } catch (e) {
+                    return document.body.dataset.today || '';
+                }
+            }
+
+            // Tonight: today's shows that haven't ended, plus last night's that are still going (9pm til 2am)
+            function isTonight(card) {
+                var dateStr = card.dataset.eventDate || '';
+                var endsAt = card.dataset.endsAt ? new Date(card.dataset.endsAt) : null;
+                var notOver = !endsAt || endsAt > new Date();
+                if (dateStr === todayStr) return notOver;
+                return dateStr < todayStr && !!endsAt && notOver;
+            }
+
+            function dayOfWeek(dateStr) {
+                return new Date(dateStr + 'T00:00:00Z').getUTCDay();
+            }
+
+            // Saturday and Sunday of this weekend (weeksAhead 0) or a later one. Dates are
+            // plain YYYY-MM-DD strings from the metro's today, so the viewer's own
+            // timezone never shifts a day.
+            function weekendRange(weeksAhead) {
+                var dow = dayOfWeek(todayStr);
+                var saturday = addDaysStr(todayStr, (dow === 0 ? -1 : 6 - dow) + 7 * weeksAhead);
+                return [saturday, addDaysStr(saturday, 1)];
+            }
+
+            // [first, last] date of a time filter, or null when it isn't a date range
+            function timeRange(timeFilter) {
+                if (timeFilter === 'weekend') return weekendRange(0);
+                if (timeFilter === 'next-weekend') return weekendRange(1);
+                if (timeFilter === 'next-7-days') return [todayStr, addDaysStr(todayStr, 6)];
+                if (timeFilter === 'range' && dateRange.from) return [dateRange.from, dateRange.to || dateRange.from];
+                return null;
+            }
 
-            function isWeekend(dateStr) {
-                var d = new Date(dateStr + 'T00:00:00');
-                var day = d.getDay();
-                return day === 0 || day === 6;
+            function inRange(dateStr, range) {
+                return dateStr >= range[0] && dateStr <= range[1];
             }
 
             function matchesTime(card, timeFilter) {
-                if (timeFilter === 'all') return true;
-                var dateStr = card.dataset.eventDate || '';
-                if (timeFilter === 'tonight') return dateStr === todayStr;
-                if (timeFilter === 'weekend') return isWeekend(dateStr);
-                return true;
+                if (timeFilter === 'tonight') return isTonight(card);
+                var range = timeRange(timeFilter);
+                return !range || inRange(card.dataset.eventDate || '', range);
             }
 
             function matchesGenre(card, genreFilter) {
@@ -1296,43 +1394,449 @@ function generateHTML(eventsByDate, sortedDates) {
                 return genres.indexOf(genreFilter.toLowerCase()) !== -1;
             }
 
+            function matchesCity(card, cityFilter) {
+                return cityFilter === 'all' || card.dataset.city === cityFilter;
+            }
+
+            // Unknown ages pass every filter except all-ages
+            function matchesAge(card, ageFilter) {
+                var age = card.dataset.age || 'unknown';
+                if (ageFilter === 'under-21') return age !== '21+';
+                if (ageFilter === 'all-ages') return age === 'all-ages';
+                return true;
+            }
+
+            // Shows with no known price only pass "Any"
+            function matchesPrice(card, priceFilter) {
+                if (priceFilter === 'any') return true;
+                if (card.dataset.priceMin === undefined) return false;
+                var min = parseFloat(card.dataset.priceMin);
+                if (priceFilter === 'free') return min === 0;
+                if (priceFilter === 'under-20') return min < 20;
+                return true;
+            }
+
+            // Same words lib/search.js indexes
+            function searchTokens(text) {
+                return String(text || '').toLowerCase()
+                    .normalize('NFD').replace(/[\\u0300-\\u036f]/g, '')
+                    .replace(/['’]/g, '')
+                    .split(/[^a-z0-9]+/)
+                    .filter(function(t) { return t && !SEARCH_STOPWORDS.has(t) && (t.length > 1 || /\\d/.test(t)); });
+            }
+
+            function loadSearchIndex() {
+                if (searchIndex !== null) return;
+                searchIndex = false;
+                fetch('search-index.json').then(function(r) { return r.json(); }).then(function(index) {
+                    index.termList = Object.keys(index.terms).sort();
+                    searchIndex = index;
+                    applyFilters();
+                }).catch(function() {
+                    // Opened from disk or the index is missing: index the cards themselves
+                    var terms = {};
+                    var ids = [];
+                    eventCards.forEach(function(card, i) {
+                        ids.push(card.dataset.eventId);
+                        searchTokens(card.textContent).forEach(function(t) {
+                            if (!terms[t]) terms[t] = [];
+                            if (terms[t][terms[t].length - 1] !== i) terms[t].push(i);
+                        });
+                    });
+                    searchIndex = { ids: ids, terms: terms, termList: Object.keys(terms).sort() };
+                    applyFilters();
+                });
+            }
+
+            // Event ids containing a word starting with prefix (binary search over the sorted terms)
+            function idsWithPrefix(prefix) {
+                var list = searchIndex.termList;
+                var lo = 0;
+                var hi = list.length;
+                while (lo < hi) {
+                    var mid = (lo + hi) >> 1;
+                    if (list[mid] < prefix) lo = mid + 1; else hi = mid;
+                }
+                var ids = new Set();
+                for (var i = lo; i < list.length && list[i].lastIndexOf(prefix, 0) === 0; i++) {
+                    searchIndex.terms[list[i]].forEach(function(p) { ids.add(searchIndex.ids[p]); });
+                }
+                return ids;
+            }
+
+            // Date words in a query ("tonight", "this weekend", "this month") narrow by date
+            var SEARCH_DATES = [
+                { re: /\\b(?:tonight|today)\\b/, test: function(d) { return d === todayStr; } },
+                { re: /\\btomorrow\\b/, test: function(d) { return d === addDaysStr(todayStr, 1); } },
+                { re: /\\bnext weekend\\b/, test: function(d) { return inRange(d, weekendRange(1)); } },
+                { re: /\\b(?:this )?weekend\\b/, test: function(d) { return inRange(d, weekendRange(0)); } },
+                { re: /\\bthis week\\b/, test: function(d) { return d >= todayStr && d <= addDaysStr(todayStr, 6); } },
+                { re: /\\bthis month\\b/, test: function(d) { return d.slice(0, 7) === todayStr.slice(0, 7); } }
+            ];
+
+            function addDaysStr(dateStr, days) {
+                var d = new Date(dateStr + 'T00:00:00Z');
+                d.setUTCDate(d.getUTCDate() + days);
+                return d.toISOString().slice(0, 10);
+            }
+
+            // { ids: Set or null for "any", dateTest } for the search box. Every word
+            // must match (as a prefix); words found nowhere are ignored so long
+            // as another word matched, so filler like "anyone" doesn't empty the list.
+            function searchMatches(query) {
+                var text = query.toLowerCase();
+                var dateTest = null;
+                SEARCH_DATES.forEach(function(d) {
+                    if (d.re.test(text)) {
+                        dateTest = d.test;
+                        text = text.replace(d.re, ' ');
+                    }
+                });
+                var tokens = searchTokens(text);
+                if (tokens.length === 0 || !searchIndex) return { ids: null, dateTest: dateTest };
+                var result = null;
+                tokens.map(idsWithPrefix).forEach(function(ids) {
+                    if (ids.size === 0) return;
+                    result = result === null ? ids : new Set(Array.from(result).filter(function(id) { return ids.has(id); }));
+                });
+                return { ids: result || new Set(), dateTest: dateTest };
+            }
+
             function applyFilters() {
                 var timeFilter = document.querySelector('.filter-btn.active[data-time-filter]');
                 var genreFilter = document.querySelector('.genre-chip.active');
                 var timeVal = timeFilter ? timeFilter.dataset.timeFilter : 'all';
                 var genreVal = genreFilter ? genreFilter.dataset.genreFilter : 'all';
+                var cityFilter = document.querySelector('.city-chip.active');
+                var cityVal = cityFilter ? cityFilter.dataset.cityFilter : 'all';
+                var ageFilter = document.querySelector('.age-chip.active');
+                var ageVal = ageFilter ? ageFilter.dataset.ageFilter : 'any';
+                var priceFilter = document.querySelector('.price-chip.active');
+                var priceVal = priceFilter ? priceFilter.dataset.priceFilter : 'any';
+
+                // Calendar feed follows the selected genre chip
+                var subscribe = document.getElementById('calendarSubscribe');
+                if (subscribe) subscribe.href = genreVal === 'all' ? 'events.ics' : 'events-' + genreVal + '.ics';
+
+                var query = searchInput.value.trim();
+                if (query) loadSearchIndex();
+                var search = query ? searchMatches(query) : { ids: null, dateTest: null };
+                var shown = 0;
+                dayCounts = {};
 
                 eventCards.forEach(function(card) {
-                    var show = matchesTime(card, timeVal) && matchesGenre(card, genreVal);
-                    var el = card.closest('.event-card-link') || card;
-                    el.style.display = show ? 'block' : 'none';
+                    var dateStr = card.dataset.eventDate || '';
+                    var others = matchesGenre(card, genreVal) && matchesCity(card, cityVal) && matchesAge(card, ageVal) && matchesPrice(card, priceVal) &&
+                        (!search.ids || search.ids.has(card.dataset.eventId));
+                    if (others) dayCounts[dateStr] = (dayCounts[dateStr] || 0) + 1;
+                    var show = others && matchesTime(card, timeVal) && (!search.dateTest || search.dateTest(dateStr));
+                    if (show) shown++;
+                    card.style.display = show ? 'block' : 'none';
                     if (show) {
                         card.style.animation = 'none';
                         card.offsetHeight;
                         card.style.animation = '';
                     }
                 });
+                document.getElementById('searchCount').textContent = query ? shown + (shown === 1 ? ' match' : ' matches') : '';
+                updateDayHeaders();
+                datePicker.hidden = timeVal !== 'range';
+                if (!datePicker.hidden) renderCalendar();
+                updateMap();
+            }
+
+            // Filter state lives in the query string (?when=weekend&genre=electronic&q=...,
+            // with from/to for a picked range) so a filtered view can be shared, survives
+            // reloads and works with back/forward. Values at their defaults are left out.
+            const filterGroups = [
+                { param: 'when', buttons: timeFilterBtns, key: 'timeFilter' },
+                { param: 'genre', buttons: genreChipBtns, key: 'genreFilter' },
+                { param: 'city', buttons: cityChipBtns, key: 'cityFilter' },
+                { param: 'age', buttons: ageChipBtns, key: 'ageFilter' },
+                { param: 'price', buttons: priceChipBtns, key: 'priceFilter' },
+                { param: 'view', buttons: viewBtns, key: 'view' }
+            ];
+            filterGroups.forEach(function(group) {
+                var active = Array.from(group.buttons).find(function(b) { return b.classList.contains('active'); });
+                group.defaultValue = active ? active.dataset[group.key] : null;
+            });
+
+            function selectButton(group, btn) {
+                group.buttons.forEach(function(b) { b.classList.toggle('active', b === btn); });
+                if (group.param === 'view') showView(btn.dataset.view);
+            }
+
+            function stateQuery() {
+                var params = new URLSearchParams(window.location.search);
+                filterGroups.forEach(function(group) {
+                    var active = Array.from(group.buttons).find(function(b) { return b.classList.contains('active'); });
+                    var value = active ? active.dataset[group.key] : group.defaultValue;
+                    if (value && value !== group.defaultValue) params.set(group.param, value); else params.delete(group.param);
+                });
+                var custom = document.querySelector('.filter-btn.active[data-time-filter="range"]') && dateRange.from;
+                if (custom) params.set('from', dateRange.from); else params.delete('from');
+                if (custom && dateRange.to !== dateRange.from) params.set('to', dateRange.to); else params.delete('to');
+                var query = searchInput.value.trim();
+                if (query) params.set('q', query); else params.delete('q');
+                var search = params.toString();
+                return search ? '?' + search : '';
+            }
+
+            // push: a new history entry (chip clicks); otherwise the current one is updated (typing)
+            function saveState(push) {
+                var search = stateQuery();
+                if (search === window.location.search) return;
+                var url = window.location.pathname + search + window.location.hash;
+                if (push) history.pushState(null, '', url); else history.replaceState(null, '', url);
+            }
+
+            // Select the chips named in the URL (the view falls back to the remembered one);
+            // unknown values fall back to the defaults
+            function restoreState() {
+                var params = new URLSearchParams(window.location.search);
+                filterGroups.forEach(function(group) {
+                    var value = params.get(group.param) || (group.param === 'view' && storedView()) || group.defaultValue;
+                    var btn = Array.from(group.buttons).find(function(b) { return b.dataset[group.key] === value; }) ||
+                        Array.from(group.buttons).find(function(b) { return b.dataset[group.key] === group.defaultValue; });
+                    if (btn) selectButton(group, btn);
+                });
+                var isDate = /^\\d{4}-\\d{2}-\\d{2}$/;
+                var from = isDate.test(params.get('from')) ? params.get('from') : '';
+                var to = isDate.test(params.get('to')) && params.get('to') > from ? params.get('to') : from;
+                dateRange = { from: from, to: to };
+                rangeStart = null;
+                syncDateInputs();
+                if (from) calMonth = from.slice(0, 7);
+                searchInput.value = params.get('q') || '';
             }
 
-            timeFilterBtns.forEach(function(btn) {
-                btn.addEventListener('click', function() {
-                    timeFilterBtns.forEach(function(b) { b.classList.remove('active'); });
-                    btn.classList.add('active');
+            var searchTimer = null;
+            searchInput.addEventListener('input', function() {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(function() {
+                    saveState(false);
                     applyFilters();
+                }, 150);
+            });
+
+            // Month heatmap for the date picker: each day of calMonth shaded by its share
+            // of the busiest day's shows, with the chosen range outlined
+            function renderCalendar() {
+                var grid = document.getElementById('calGrid');
+                var first = calMonth + '-01';
+                var range = dateRange.from ? [dateRange.from, dateRange.to || dateRange.from] : null;
+                var max = 0;
+                Object.keys(dayCounts).forEach(function(d) { if (d >= todayStr) max = Math.max(max, dayCounts[d]); });
+                grid.textContent = '';
+                ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach(function(name) {
+                    var head = document.createElement('div');
+                    head.className = 'cal-dow';
+                    head.textContent = name;
+                    grid.appendChild(head);
+                });
+                for (var i = 0; i < dayOfWeek(first); i++) grid.appendChild(document.createElement('div'));
+                for (var d = first; d.slice(0, 7) === calMonth; d = addDaysStr(d, 1)) {
+                    var count = d < todayStr ? 0 : (dayCounts[d] || 0);
+                    var cell = document.createElement('button');
+                    cell.type = 'button';
+                    cell.className = 'cal-day cal-l' + (count === 0 ? 0 : Math.ceil(4 * count / max));
+                    if (d === todayStr) cell.classList.add('today');
+                    if (range && inRange(d, range)) cell.classList.add('in-range');
+                    cell.disabled = d < todayStr;
+                    cell.dataset.date = d;
+                    cell.setAttribute('aria-label', d + ': ' + count + (count === 1 ? ' show' : ' shows'));
+                    var day = document.createElement('span');
+                    day.textContent = Number(d.slice(8));
+                    var shows = document.createElement('span');
+                    shows.className = 'cal-count';
+                    shows.textContent = count > 0 ? count : '';
+                    cell.appendChild(day);
+                    cell.appendChild(shows);
+                    grid.appendChild(cell);
+                }
+                document.getElementById('calMonth').textContent = new Date(first + 'T00:00:00Z').toLocaleDateString('en-US', { timeZone: 'UTC', month: 'long', year: 'numeric' });
+                document.getElementById('calPrev').disabled = calMonth <= todayStr.slice(0, 7);
+                document.getElementById('calNext').disabled = calMonth >= lastEventMonth;
+            }
+
+            function shiftMonth(month, by) {
+                var d = new Date(month + '-01T00:00:00Z');
+                d.setUTCMonth(d.getUTCMonth() + by);
+                return d.toISOString().slice(0, 7);
+            }
+
+            function syncDateInputs() {
+                dateFromInput.value = dateRange.from;
+                dateToInput.value = dateRange.to;
+            }
+
+            // First click starts a range (showing just that day), the second closes it
+            function pickDay(dateStr) {
+                if (rangeStart === null) {
+                    rangeStart = dateStr;
+                    dateRange = { from: dateStr, to: dateStr };
+                } else {
+                    dateRange = rangeStart <= dateStr ? { from: rangeStart, to: dateStr } : { from: dateStr, to: rangeStart };
+                    rangeStart = null;
+                }
+                syncDateInputs();
+                saveState(rangeStart === null);
+                applyFilters();
+            }
+
+            // Agenda day headers count the day's matching shows; empty days are hidden
+            function updateDayHeaders() {
+                var perDay = {};
+                eventCards.forEach(function(card) {
+                    if (isShown(card)) perDay[card.dataset.eventDate] = (perDay[card.dataset.eventDate] || 0) + 1;
+                });
+                dayHeaders.forEach(function(header) {
+                    var count = perDay[header.dataset.date] || 0;
+                    header.style.display = count > 0 ? '' : 'none';
+                    header.querySelector('.day-header-count').textContent = count + (count === 1 ? ' show' : ' shows');
+                });
+            }
+
+            function isShown(card) {
+                return !!card && card.style.display !== 'none';
+            }
+
+            // Pins follow the filters: a pin shows how many of its venue's shows pass them
+            function updateMap() {
+                if (mapPins.length === 0) return;
+                var onMap = {};
+                mapPins.forEach(function(pin) {
+                    var ids = pin.dataset.eventIds.split(',');
+                    var shown = ids.filter(function(id) { return isShown(cardsById[id]); });
+                    ids.forEach(function(id) { onMap[id] = true; });
+                    pin.style.display = shown.length > 0 ? '' : 'none';
+                    pin.querySelector('.map-pin-count').textContent = shown.length;
+                });
+                var missing = 0;
+                eventCards.forEach(function(card) {
+                    if (isShown(card) && !onMap[card.dataset.eventId]) missing++;
+                });
+                document.getElementById('mapNote').textContent = missing > 0 ? missing + ' matching event(s) have no known venue location and are only in the grid.' : '';
+                if (selectedPin) showPin(selectedPin);
+            }
+
+            // List a pin's matching shows beside the map
+            function showPin(pin) {
+                var panel = document.getElementById('mapPanel');
+                mapPins.forEach(function(p) { p.classList.toggle('selected', p === pin); });
+                selectedPin = pin;
+                panel.textContent = '';
+                var heading = document.createElement('h3');
+                heading.textContent = pin.dataset.venue;
+                panel.appendChild(heading);
+                var list = document.createElement('ul');
+                pin.dataset.eventIds.split(',').forEach(function(id) {
+                    var card = cardsById[id];
+                    if (!isShown(card)) return;
+                    var item = document.createElement('li');
+                    var when = document.createElement('div');
+                    var time = card.querySelector('.event-time');
+                    when.className = 'map-when';
+                    when.textContent = card.dataset.eventDate + (time ? ' ' + time.textContent : '');
+                    var link = card.querySelector('.event-card-link');
+                    var title = document.createElement(link ? 'a' : 'span');
+                    title.textContent = card.querySelector('.event-title').textContent;
+                    if (link) {
+                        title.href = link.href;
+                        title.target = '_blank';
+                        title.rel = 'noopener noreferrer';
+                    }
+                    item.appendChild(when);
+                    item.appendChild(title);
+                    list.appendChild(item);
+                });
+                panel.appendChild(list);
+            }
+
+            mapPins.forEach(function(pin) {
+                pin.addEventListener('click', function() { showPin(pin); });
+                pin.addEventListener('keydown', function(e) {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        showPin(pin);
+                    }
+                });
+            });
+
+            function showView(view) {
+                var eventsMap = document.getElementById('eventsMap');
+                eventsGrid.hidden = view === 'map';
+                if (eventsMap) eventsMap.hidden = view !== 'map';
+                eventsGrid.classList.toggle('agenda', view === 'agenda' || view === 'compact');
+                eventsGrid.classList.toggle('compact', view === 'compact');
+            }
+
+            // The last view picked is remembered for visits without ?view= in the URL
+            function storedView() {
+                try {
+                    return localStorage.getItem('view');
+                } catch (e) {
+                    return null;
+                }
+            }
+
+            function rememberView(view) {
+                try {
+                    localStorage.setItem('view', view);
+                } catch (e) {
+                    // Storage disabled (private browsing): the view just isn't remembered
+                }
+            }
+
+            filterGroups.forEach(function(group) {
+                group.buttons.forEach(function(btn) {
+                    btn.addEventListener('click', function() {
+                        selectButton(group, btn);
+                        if (group.param === 'view') rememberView(btn.dataset.view);
+                        saveState(true);
+                        applyFilters();
+                    });
                 });
             });
 
-            genreChipBtns.forEach(function(btn) {
-                btn.addEventListener('click', function() {
-                    genreChipBtns.forEach(function(b) { b.classList.remove('active'); });
-                    btn.classList.add('active');
+            document.getElementById('calGrid').addEventListener('click', function(e) {
+                var cell = e.target.closest('.cal-day');
+                if (cell && !cell.disabled) pickDay(cell.dataset.date);
+            });
+            document.getElementById('calPrev').addEventListener('click', function() {
+                calMonth = shiftMonth(calMonth, -1);
+                renderCalendar();
+            });
+            document.getElementById('calNext').addEventListener('click', function() {
+                calMonth = shiftMonth(calMonth, 1);
+                renderCalendar();
+            });
+            [dateFromInput, dateToInput].forEach(function(input) {
+                input.addEventListener('change', function() {
+                    var from = dateFromInput.value || dateToInput.value;
+                    var to = dateToInput.value || from;
+                    dateRange = from <= to ? { from: from, to: to } : { from: to, to: from };
+                    rangeStart = null;
+                    syncDateInputs();
+                    if (dateRange.from) calMonth = dateRange.from.slice(0, 7);
+                    saveState(true);
                     applyFilters();
                 });
             });
 
+            window.addEventListener('popstate', function() {
+                restoreState();
+                applyFilters();
+            });
+
+            // Start from the URL's filters; otherwise the configured defaults are already selected
+            restoreState();
+            applyFilters();
+
             // Add hover sound effect simulation (visual feedback)
             eventCards.forEach(card => {
                 card.addEventListener('mouseenter', () => {
+                    if (eventsGrid.classList.contains('agenda')) return;
                     card.style.transform = 'translateY(-4px) scale(1.01)';
                 });
                 card.addEventListener('mouseleave', () => {
@@ -1364,10 +1868,22 @@ function generateHTML(eventsByDate, sortedDates) {
       const dateObj = new Date(date + 'T00:00:00');
       const dayNum = String(dateObj.getDate()).padStart(2, '0');
       const dayAbbr = dateObj.toLocaleDateString('en-US', { weekday: 'short' }).toUpperCase();
+      cardsHtml += dayHeaderHtml(date, eventsByDate[date].length);
       
       eventsByDate[date].forEach(event => {
-        const genres = getGenres(event);
-        const venueDisplay = event.city ? `${event.venue}, ${event.city}` : event.venue;
+        const genres = event.genres.join(',');
+        const neighborhood = event.location && event.location.neighborhood !== event.city ? event.location.neighborhood : null;
+        const venueDisplay = [event.venue, neighborhood, event.city].filter(Boolean).join(', ');
+        const mapLink = mapsUrl(event);
+        const links = event.links || [];
+        const multiSource = links.length > 1;
+        const price = formatPrice(event.price);
+        const tagsHtml = [
+          AGE_LABELS[event.age] ? `<span class="event-age${event.age === '21+' ? ' age-21' : ''}">${AGE_LABELS[event.age]}</span>` : '',
+          price ? `<span class="event-price${event.price.soldOut ? ' sold-out' : event.price.free ? ' free' : ''}">${escapeHtml(price)}</span>` : ''
+        ].join('');
+        const priceAttr = event.price && event.price.min !== null ? ` data-price-min="${event.price.min}"` : '';
+        const linksHtml = links.map(l => `<a href="${escapeHtml(l.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(l.source)}</a>`).join(' / ');
         const cardContent = `                <div class="event-header">\n` +
           `                    <div>\n` +
           `                        <div class="event-date">${dayNum}</div>\n` +
@@ -1378,18 +1894,89 @@ function generateHTML(eventsByDate, sortedDates) {
           `                <div class="event-body">\n` +
           `                    <div class="event-title">${escapeHtml(event.title)}</div>\n` +
           (event.venue ? `                    <div class="event-venue">${escapeHtml(venueDisplay)}</div>\n` : '') +
+          (tagsHtml ? `                    <div class="event-tags">${tagsHtml}</div>\n` : '') +
+          (multiSource ? `                    <div class="event-links">${linksHtml}</div>\n` : '') +
+          `                    <div class="event-actions"><a class="event-details" href="${escapeHtml(eventPagePath(event))}">Details</a><a class="event-ics" href="${escapeHtml(eventIcsPath(event))}" download>+ Add to calendar</a>` +
+          (mapLink ? `<a class="event-map" href="${escapeHtml(mapLink)}" target="_blank" rel="noopener noreferrer">Map ↗</a>` : '') +
+          `</div>\n` +
           `                </div>\n`;
-        const openWrap = event.link ? `            <a href="${escapeHtml(event.link)}" target="_blank" rel="noopener noreferrer" class="event-card-link">\n` : '';
-        const closeWrap = event.link ? `            </a>\n` : '';
-        cardsHtml += openWrap + `            <div class="event-card" data-genres="${escapeHtml(genres)}" data-event-date="${date}">\n` + cardContent + `            </div>\n` + closeWrap + '\n';
+        const cardLink = event.link ? `                <a href="${escapeHtml(event.link)}" target="_blank" rel="noopener noreferrer" class="event-card-link" aria-label="${escapeHtml(event.title)}"></a>\n` : '';
+        cardsHtml += `            <div class="event-card" id="event-${escapeHtml(event.id)}" data-event-id="${escapeHtml(event.id)}" data-genres="${escapeHtml(genres)}" data-city="${escapeHtml(event.city || '')}" data-age="${escapeHtml(event.age || 'unknown')}"${priceAttr} data-event-date="${date}"${event.startsAt ? ` data-starts-at="${event.startsAt}"` : ''}${event.endsAt ? ` data-ends-at="${event.endsAt}"` : ''}>\n` + cardLink + cardContent + `            </div>\n` + '\n';
       });
     });
   }
   
   // Replace placeholder with generated cards
   html = html.replace('<!--EVENT_CARDS_PLACEHOLDER-->', cardsHtml);
+  html = html.replace('<!--SOURCE_STATUS_PLACEHOLDER-->', sourceStatusHtml(report, metro.timezone));
   
-  fs.writeFileSync('index.html', html, 'utf8');
+  fs.writeFileSync(path.join(metro.outDir || metro.id, 'index.html'), html, 'utf8');
+}
+
+// Heading over a day's cards, shown only in the agenda views; the page keeps
+// its count in step with the filters
+function dayHeaderHtml(date, count) {
+  const label = new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric'
+  });
+  return `            <div class="day-header" data-date="${date}"><span class="day-header-date">${label}</span>` +
+    `<span class="day-header-count">${count} ${count === 1 ? 'show' : 'shows'}</span></div>\n`;
+}
+
+// Genre chips for the genres that have upcoming events, busiest first
+function genreChipsHtml(events) {
+  const counts = {};
+  events.forEach(event => {
+    (event.genres || []).forEach(genre => { counts[genre] = (counts[genre] || 0) + 1; });
+  });
+  return Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+    .map(genre => `            <button class="genre-chip" data-genre-filter="${escapeHtml(genre)}">${escapeHtml(genreLabel(genre, config.genres.taxonomy))}</button>\n`)
+    .join('');
+}
+
+// City chip row for the cities that have upcoming events, busiest first.
+// Left out when everything is in one city.
+function cityChipsHtml(events) {
+  const counts = {};
+  events.forEach(event => {
+    if (event.city) counts[event.city] = (counts[event.city] || 0) + 1;
+  });
+  const cities = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+  if (cities.length < 2) return '';
+  const chips = cities.map(city => `            <button class="city-chip" data-city-filter="${escapeHtml(city)}">${escapeHtml(city)}</button>\n`).join('');
+  return `        <div class="city-filters">\n` +
+    `            <span class="genre-label">CITY:</span>\n` +
+    `            <button class="city-chip active" data-city-filter="all">All</button>\n` +
+    chips +
+    `        </div>\n`;
+}
+
+// Links between the metro sites, when there is more than one
+function metroNavHtml(metro, metros) {
+  if (metros.length < 2) return '';
+  const links = metros.map(m => {
+    const active = m.id === metro.id ? ' class="active"' : '';
+    // vercel.json drops trailing slashes, so link to "/la" rather than "/la/"
+    return `                <a href="${escapeHtml(metroPath(m).replace(/(.)\/$/, '$1'))}"${active}>${escapeHtml(m.area)}</a>\n`;
+  }).join('');
+  return `            <nav class="metro-nav">\n${links}            </nav>\n`;
+}
+
+// Footer line per source: how many events it contributed, or that it failed.
+// A stale source says when its cached listing is from.
+function sourceStatusHtml(report, timeZone = 'America/Los_Angeles') {
+  if (!report) return '';
+  const when = iso => new Date(iso).toLocaleString('en-US', {
+    timeZone, timeZoneName: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+  const updated = when(report.generatedAt);
+  const items = report.sources.map(s => {
+    let detail = s.status === 'failed' ? 'unavailable' : `${s.kept} events`;
+    if (s.status === 'stale') detail += ` from ${when(s.staleSince)}`;
+    return `            <span class="status-${s.status}" title="${escapeHtml(s.error || `${s.raw} listed, ${s.kept} kept`)}">${escapeHtml(s.label)}: ${detail}</span>\n`;
+  }).join('');
+  return `<footer class="source-status">\n            <span>Updated ${escapeHtml(updated)}</span>\n${items}        </footer>`;
 }
 
 // Escape HTML to prevent XSS
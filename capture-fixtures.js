@@ -0,0 +1,96 @@
+// Save trimmed live captures of the HTML sources into test/fixtures/captured/,
+// for the parser golden tests to catch upstream markup changes:
+//
+//   npm run capture-fixtures -- [19hz|foopee|partiful ...]
+//   UPDATE_GOLDEN=1 npm test
+//
+// Read the new test/golden/captured-*.json before committing them. Captures are
+// trimmed to a handful of listings so the fixtures stay small; the markup around
+// them is kept as served. posh.vip already has a real capture
+// (test/fixtures/posh-api-response.json).
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { getTodayPacificDateString } = require('./lib/util');
+
+const OUT_DIR = path.join(__dirname, 'test', 'fixtures', 'captured');
+const MANIFEST = path.join(OUT_DIR, 'manifest.json');
+const KEEP_ROWS = 15;
+const KEEP_DAYS = 4;
+const KEEP_EVENTS = 10;
+
+async function download(url) {
+  const response = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0 (sf-event-agg fixture capture)' } });
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  return response.text();
+}
+
+// 19hz: the first rows of each listing table
+function trim19hz(html) {
+  const $ = cheerio.load(html);
+  $('script, style, iframe').remove();
+  $('table tbody').each((i, tbody) => { $(tbody).find('tr').slice(KEEP_ROWS).remove(); });
+  return $.html();
+}
+
+// Foopee: the first days of a weekly page
+function trimFoopee(html) {
+  const $ = cheerio.load(html);
+  $('script, style').remove();
+  $('body > ul > li').slice(KEEP_DAYS).remove();
+  return $.html();
+}
+
+// Partiful: only the __NEXT_DATA__ script, with fewer feed and section items
+function trimPartiful(html) {
+  const $ = cheerio.load(html);
+  const data = JSON.parse($('#__NEXT_DATA__').html());
+  const pp = data.props.pageProps;
+  if (pp.feedItems) pp.feedItems = pp.feedItems.slice(0, KEEP_EVENTS);
+  (pp.sections || []).forEach(section => { section.items = (section.items || []).slice(0, KEEP_EVENTS / 2); });
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  return `<html><body><script id="__NEXT_DATA__" type="application/json">${json}</script></body></html>\n`;
+}
+
+const CAPTURES = {
+  '19hz': [{ url: 'https://19hz.info/eventlisting_BayArea.php', file: '19hz-bayarea.html', trim: trim19hz }],
+  'foopee': [0, 1].map(week => ({
+    url: `http://www.foopee.com/punk/the-list/by-date.${week}.html`,
+    file: `foopee-by-date-${week}.html`,
+    trim: trimFoopee
+  })),
+  'partiful': [{ url: 'https://partiful.com/discover/sf', file: 'partiful-discover-sf.html', trim: trimPartiful }]
+};
+
+async function capture(names) {
+  const manifest = fs.existsSync(MANIFEST) ? JSON.parse(fs.readFileSync(MANIFEST, 'utf8')) : {};
+  let saved = 0;
+
+  for (const name of names) {
+    const pages = CAPTURES[name];
+    if (!pages) {
+      console.error(`Unknown source ${name}; expected one of ${Object.keys(CAPTURES).join(', ')}`);
+      process.exitCode = 1;
+      continue;
+    }
+    try {
+      for (const page of pages) {
+        const html = page.trim(await download(page.url));
+        fs.mkdirSync(OUT_DIR, { recursive: true });
+        fs.writeFileSync(path.join(OUT_DIR, page.file), html, 'utf8');
+        console.log(`Saved ${page.url} -> captured/${page.file}`);
+      }
+      // Parsers see the capture as of the day it was taken
+      manifest[name] = { capturedAt: getTodayPacificDateString(), files: pages.map(p => p.file) };
+      saved++;
+    } catch (error) {
+      console.error(`Capturing ${name} failed:`, error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  if (saved > 0) fs.writeFileSync(MANIFEST, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+}
+
+capture(process.argv.slice(2).length > 0 ? process.argv.slice(2) : Object.keys(CAPTURES));
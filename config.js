@@ -0,0 +1,181 @@
+// Build configuration
+
+module.exports = {
+  // Sources are fetched in this order (each metro below picks which ones it runs).
+  // Set `enabled: false` to skip one everywhere.
+  // To add a local feed, drop a module into sources/ that exports
+  // { name, label, defaultGenres, fetch(options), parse(raw, todayStr, drops, options) }, list it here
+  // with `module: './sources/<file>'` and add it to the `sources` of each metro that should use it.
+  // Modules don't list the cities they cover: a metro's `sources` say where each
+  // one runs (and with which listing URL), and its `region` which cities are kept.
+  sources: [
+    { name: '19hz', enabled: true },
+    { name: 'foopee', enabled: true },
+    { name: 'posh.vip', enabled: true },
+    { name: 'partiful', enabled: true }
+  ],
+
+  // HTTP cache for source fetches (lib/http.js). Responses are kept in `cacheDir`
+  // and reused for `ttlMinutes` (per source name, else `default`), then
+  // revalidated with ETag/Last-Modified. Failed requests are retried `retries`
+  // times, waiting `retryDelayMs` and doubling; requests to one host are spaced
+  // `hostIntervalMs` apart, and each attempt gives up after `requestTimeoutMs`.
+  // If a source still fails, its cached copy is used when it is at most
+  // `maxStaleMinutes` old (the source shows as stale in build-report.json and
+  // the page footer); an older one isn't, so the source fails instead.
+  // `npm run build:offline` (build.js --offline) builds from the cache alone.
+  // Up to `concurrency` sources are fetched at once; a source still going after
+  // `sourceTimeoutMs` (per source name, else `default`) is cancelled and
+  // reported as failed.
+  http: {
+    cacheDir: '.cache/http',
+    ttlMinutes: { default: 30, '19hz': 60, 'foopee': 360, 'posh.vip': 15, 'partiful': 30 },
+    retries: 2,
+    retryDelayMs: 1000,
+    hostIntervalMs: 1000,
+    requestTimeoutMs: 20000,
+    maxStaleMinutes: 1440,
+    concurrency: 4,
+    sourceTimeoutMs: { default: 60000, 'foopee': 120000, 'posh.vip': 120000 }
+  },
+
+  // Cross-source duplicate matching: events on the same date at the same venue
+  // are merged when their title/band words overlap at least `titleSimilarity`
+  // (0..1) and their start times are within `maxStartDiffMinutes`.
+  dedupe: {
+    titleSimilarity: 0.5,
+    maxStartDiffMinutes: 90
+  },
+
+  // City profiles: one site per metro, all built in the same run. Each writes
+  // its pages, events.json, calendars and feed into `outDir` (SF stays at the
+  // root so existing links and calendar subscriptions keep working; vercel.json
+  // also serves it at /sf/).
+  //   timezone      local clock for event times and "today"
+  //   location, coordinates
+  //                 search center for sources that take one (posh.vip)
+  //   basemap       outline for the site's map view (bounds, land polygons and
+  //                 place labels); leave it out to skip the map
+  //   sources       which of the sources above run for this metro, with
+  //                 per-metro options (`url` of the listing page; for posh.vip
+  //                 `maxPages` of results per query)
+  //   region        allowlist: source cities are normalized through the table in
+  //                 lib/cities.js ("S.F." -> San Francisco) and kept when their
+  //                 region is in `allow` ('sf', 'east-bay', 'peninsula',
+  //                 'south-bay', 'north-bay', 'santa-cruz', 'sacramento', 'la').
+  //                 Cities missing from the table (or events without one) are
+  //                 kept only with `keepUnknown`.
+  //   health        overrides of the `health` settings below
+  metros: [
+    {
+      id: 'sf',
+      enabled: true,
+      title: 'SF Music Events',
+      area: 'Bay Area',
+      outDir: '.',
+      timezone: 'America/Los_Angeles',
+      location: 'San Francisco, CA, USA',
+      coordinates: { lat: 37.7749295, long: -122.4194155 },
+      basemap: 'data/basemaps/sf.json',
+      sources: {
+        '19hz': { url: 'https://19hz.info/eventlisting_BayArea.php' },
+        'foopee': {},
+        'posh.vip': { maxPages: 10 },
+        'partiful': { url: 'https://partiful.com/discover/sf' }
+      },
+      region: {
+        allow: ['sf', 'east-bay', 'peninsula', 'south-bay', 'north-bay'],
+        keepUnknown: true
+      }
+    },
+    {
+      id: 'la',
+      enabled: true,
+      title: 'LA Music Events',
+      area: 'Los Angeles',
+      outDir: 'la',
+      timezone: 'America/Los_Angeles',
+      location: 'Los Angeles, CA, USA',
+      coordinates: { lat: 34.0549076, long: -118.242643 },
+      basemap: 'data/basemaps/la.json',
+      sources: {
+        '19hz': { url: 'https://19hz.info/eventlisting_LosAngeles.php' },
+        'posh.vip': { maxPages: 10 },
+        'partiful': { url: 'https://partiful.com/discover/la' }
+      },
+      region: {
+        allow: ['la'],
+        keepUnknown: true
+      }
+    }
+  ],
+
+  // Genre taxonomy for lib/genres.js, in chip order. `keywords` match whole words
+  // in an event's title, details, lineup and source tags; `tags` match only the
+  // source's own genre tags (19hz), for words too vague for free text. A `parent`
+  // is added along with the genre. Events that match nothing get their source's
+  // defaultGenres. The page only shows chips for genres with upcoming events.
+  genres: {
+    taxonomy: {
+      'electronic': { label: 'Electronic', keywords: ['electronic', 'electronica', 'edm', 'rave', 'raves', 'dj set', 'dj sets', 'b2b', 'club night'] },
+      'techno': { label: 'Techno', parent: 'electronic', keywords: ['techno', 'hard techno', 'industrial techno'] },
+      'house': {
+        label: 'House',
+        parent: 'electronic',
+        tags: ['house'],
+        keywords: ['house music', 'deep house', 'tech house', 'afro house', 'disco house', 'acid house', 'progressive house']
+      },
+      'drum-and-bass': { label: 'Drum & Bass', parent: 'electronic', keywords: ['drum and bass', 'drum & bass', 'drum n bass', 'dnb', 'd&b', 'jungle'] },
+      'bass': { label: 'Bass', parent: 'electronic', keywords: ['dubstep', 'bass music', 'riddim', 'ukg', 'uk garage'] },
+      'trance': { label: 'Trance', parent: 'electronic', keywords: ['trance', 'psytrance', 'psy trance'] },
+      'disco': { label: 'Disco', keywords: ['disco', 'nu disco', 'nu-disco', 'italo'] },
+      'hip-hop': { label: 'Hip-Hop', keywords: ['hip hop', 'hip-hop', 'hiphop', 'rap', 'rapper', 'emcee'] },
+      'r-and-b': { label: 'R&B / Soul', keywords: ['r&b', 'rnb', 'soul', 'neo soul', 'funk'] },
+      'latin': { label: 'Latin', keywords: ['latin', 'reggaeton', 'salsa', 'cumbia', 'bachata', 'dembow', 'merengue'] },
+      'reggae': { label: 'Reggae', keywords: ['reggae', 'dub', 'dancehall', 'ska', 'rocksteady'] },
+      'jazz': { label: 'Jazz', keywords: ['jazz', 'bebop', 'big band', 'jazz trio', 'jazz quartet'] },
+      'punk': { label: 'Punk', keywords: ['punk', 'hardcore', 'post-punk', 'crust', 'oi'] },
+      'metal': { label: 'Metal', keywords: ['metal', 'doom', 'sludge', 'thrash', 'grindcore', 'black metal', 'death metal'] },
+      'rock': { label: 'Rock', keywords: ['rock', 'rock n roll', "rock 'n' roll", 'garage rock', 'psych', 'shoegaze', 'surf'] },
+      'indie': { label: 'Indie', keywords: ['indie', 'indie rock', 'indie pop', 'dream pop', 'lo-fi', 'slowcore'] },
+      'pop': { label: 'Pop', tags: ['pop'], keywords: ['pop music', 'synthpop', 'synth-pop', 'hyperpop', 'k-pop', 'kpop'] },
+      'folk': { label: 'Folk / Country', keywords: ['folk', 'bluegrass', 'americana', 'country', 'singer-songwriter'] },
+      'classical': { label: 'Classical', keywords: ['classical', 'orchestra', 'symphony', 'string quartet', 'chamber music', 'opera'] },
+      'experimental': { label: 'Experimental', keywords: ['experimental', 'noise', 'avant-garde', 'free improv', 'ambient'] }
+    }
+  },
+
+  // Age policy. Every event gets `age`: 'all-ages', '18+', '21+' or 'unknown'
+  // (nothing stated). Events whose age isn't in `include` are left out of the
+  // build entirely; `defaultFilter` is the page's initial age filter:
+  // 'any', 'under-21' (hides 21+) or 'all-ages'.
+  age: {
+    include: ['all-ages', '18+', '21+', 'unknown'],
+    defaultFilter: 'under-21'
+  },
+
+  // Source health. Each metro writes per-source stats to `reportFile` in its outDir. With
+  // `failBuild`, the build exits non-zero (leaving the last good site in place)
+  // when a source keeps fewer than `minEvents[name]` events, or fewer than
+  // `minRatioOfPrevious` times what it kept in the last build that passed. The
+  // report is deployed with the site; a build without one (a fresh checkout)
+  // fetches it back from SITE_URL, so set SITE_URL wherever the site is built.
+  health: {
+    reportFile: 'build-report.json',
+    failBuild: true,
+    minEvents: { '19hz': 20, 'foopee': 20 },
+    minRatioOfPrevious: 0.2
+  },
+
+  // Atom feed of newly listed events, per metro. `stateFile` (in each outDir)
+  // remembers what earlier builds saw; entries stay in the feed for `windowDays`.
+  // It's deployed with the site, and a build without it (a fresh checkout, as on
+  // Vercel) fetches it back from SITE_URL; without SITE_URL each such build starts
+  // a new baseline and the feed stays empty. SITE_URL also makes feed links absolute.
+  feed: {
+    file: 'feed.xml',
+    stateFile: 'build-state.json',
+    windowDays: 14,
+    siteUrl: process.env.SITE_URL || ''
+  }
+};
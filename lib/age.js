@@ -0,0 +1,51 @@
+const { countDrop } = require('./util');
+
+// Age restrictions, least to most restrictive
+const AGE_LEVELS = ['all-ages', '18+', '21+'];
+const UNKNOWN = 'unknown';
+// Badge text on cards and detail pages
+const AGE_LABELS = { 'all-ages': 'All ages', '18+': '18+', '21+': '21+' };
+
+const PATTERNS = [
+  { age: '21+', re: /(?<![$\d.])21\s*\+|\+\s*21\b|(?<![$\d.])21\s*(?:and|&)\s*(?:over|up|older)\b|\(21\)/i },
+  { age: '18+', re: /(?<![$\d.])18\s*\+|\+\s*18\b|(?<![$\d.])18\s*(?:and|&)\s*(?:over|up|older)\b|\(18\)/i },
+  { age: 'all-ages', re: /\ball[\s-]ages\b|(?:^|\s)a\/a(?=\s|,|$)/i }
+];
+
+// "21+ to drink", "21 & over to drink": who's served at the bar, not who gets in
+const DRINKING_AGE = /(?<![$\d.])21\s*\+?\s*(?:(?:and|&)\s*(?:over|up|older)\s*)?to\s+(?:drink|be served|purchase alcohol)\b/gi;
+
+// Age restriction mentioned in free text: 'all-ages', '18+', '21+' or 'unknown'.
+// When several entry ages are mentioned the strictest wins; drinking ages
+// don't count, so "18 & over, 21+ to drink" is 18+.
+function parseAgeRestriction(text) {
+  const entry = String(text || '').replace(DRINKING_AGE, ' ');
+  const found = PATTERNS.filter(p => p.re.test(entry)).map(p => p.age);
+  if (found.length === 0) return UNKNOWN;
+  return found.reduce(stricterAge);
+}
+
+// The more restrictive of two ages; a known age beats 'unknown'
+function stricterAge(a, b) {
+  if (!a || a === UNKNOWN) return b || UNKNOWN;
+  if (!b || b === UNKNOWN) return a;
+  return AGE_LEVELS.indexOf(a) >= AGE_LEVELS.indexOf(b) ? a : b;
+}
+
+// Keep only events whose age is in `include` (the `age.include` config);
+// the rest are tallied in `drops` as "age-<restriction>"
+function applyAgePolicy(events, include, drops = {}) {
+  return events.filter(event => {
+    if (include.includes(event.age || UNKNOWN)) return true;
+    countDrop(drops, `age-${event.age || UNKNOWN}`);
+    return false;
+  });
+}
+
+module.exports = {
+  AGE_LABELS,
+  AGE_LEVELS,
+  applyAgePolicy,
+  parseAgeRestriction,
+  stricterAge
+};
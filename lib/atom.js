@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+function escapeXml(text) {
+  return String(text || '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  })[c]);
+}
+
+function absoluteUrl(siteUrl, file) {
+  return siteUrl ? `${siteUrl.replace(/\/$/, '')}/${file}` : file;
+}
+
+function entryTitle(event) {
+  const dateObj = new Date(event.date + 'T00:00:00');
+  const day = dateObj.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  return event.venue ? `${event.title} @ ${event.venue} (${day})` : `${event.title} (${day})`;
+}
+
+function entryContent(event) {
+  const parts = [];
+  const when = event.time ? `${event.date} ${event.time}` : event.date;
+  parts.push(`<p>${escapeXml(when)}</p>`);
+  const where = [event.venue, event.city].filter(Boolean).join(', ');
+  if (where) parts.push(`<p>${escapeXml(where)}</p>`);
+  if (event.bands && event.bands.length > 0) parts.push(`<p>Lineup: ${escapeXml(event.bands.join(', '))}</p>`);
+  if (event.details) parts.push(`<p>${escapeXml(event.details)}</p>`);
+  const links = (event.links || []).map(l => `<a href="${escapeXml(l.url)}">${escapeXml(l.source)}</a>`);
+  if (links.length > 0) parts.push(`<p>${links.join(' / ')}</p>`);
+  return parts.join('');
+}
+
+// Atom feed of events first seen within the last `windowDays`, newest first
+function buildAtomFeed(events, options = {}) {
+  const {
+    siteUrl = '', windowDays = 14, file = 'feed.xml',
+    title = 'SF Music Events', area = 'Bay Area', id = 'urn:sf-event-agg:feed:new-events'
+  } = options;
+  const cutoff = new Date(Date.now() - windowDays * 86400000).toISOString();
+  const entries = events
+    .filter(e => e.firstSeen && e.firstSeen >= cutoff)
+    .sort((a, b) => b.firstSeen.localeCompare(a.firstSeen) || a.date.localeCompare(b.date));
+  const updated = entries.length > 0 ? entries[0].firstSeen : new Date().toISOString();
+
+  let xml = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}: New Listings</title>
+  <subtitle>${escapeXml(area)} shows added since the previous build</subtitle>
+  <id>${escapeXml(id)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(absoluteUrl(siteUrl, file))}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(absoluteUrl(siteUrl, '') || './')}"/>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(title)}</name></author>
+`;
+  entries.forEach(event => {
+    xml += `  <entry>
+    <id>urn:sf-event-agg:event:${event.id}</id>
+    <title>${escapeXml(entryTitle(event))}</title>
+    <published>${event.firstSeen}</published>
+    <updated>${event.firstSeen}</updated>
+${event.link ? `    <link rel="alternate" href="${escapeXml(event.link)}"/>\n` : ''}${(event.genres || []).map(g => `    <category term="${escapeXml(g)}"/>\n`).join('')}    <content type="html">${escapeXml(entryContent(event))}</content>
+  </entry>
+`;
+  });
+  xml += '</feed>\n';
+  return { xml, count: entries.length };
+}
+
+// `siteUrl` is the URL of `outDir`, where the feed is written
+function writeAtomFeed(events, options = {}) {
+  const file = options.file || 'feed.xml';
+  const { xml, count } = buildAtomFeed(events, { ...options, file });
+  fs.writeFileSync(path.join(options.outDir || '.', file), xml, 'utf8');
+  return count;
+}
+
+module.exports = {
+  buildAtomFeed,
+  writeAtomFeed
+};
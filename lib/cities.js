@@ -0,0 +1,129 @@
+const { countDrop } = require('./util');
+
+// Every city a source might name, with the region it belongs to and the
+// spellings we've seen ("S.F.", Foopee's "Berkely"). Regions near the Bay Area
+// are listed too so the region allowlist can leave them out by name; 'la' is
+// the Los Angeles metro (config.metros). LA neighborhoods count as the city.
+const CITIES = [
+  { name: 'San Francisco', region: 'sf', aliases: ['sf', 'san fran'] },
+
+  { name: 'Oakland', region: 'east-bay', aliases: ['oak', 'west oakland'] },
+  { name: 'Berkeley', region: 'east-bay', aliases: ['berkely', 'west berkeley'] },
+  { name: 'Emeryville', region: 'east-bay', aliases: [] },
+  { name: 'Albany', region: 'east-bay', aliases: [] },
+  { name: 'El Cerrito', region: 'east-bay', aliases: [] },
+  { name: 'Richmond', region: 'east-bay', aliases: [] },
+  { name: 'Alameda', region: 'east-bay', aliases: [] },
+  { name: 'San Leandro', region: 'east-bay', aliases: [] },
+  { name: 'Hayward', region: 'east-bay', aliases: [] },
+  { name: 'Fremont', region: 'east-bay', aliases: [] },
+  { name: 'Walnut Creek', region: 'east-bay', aliases: [] },
+  { name: 'Concord', region: 'east-bay', aliases: [] },
+  { name: 'Vallejo', region: 'east-bay', aliases: [] },
+  { name: 'East Bay', region: 'east-bay', aliases: [] },
+
+  { name: 'Daly City', region: 'peninsula', aliases: [] },
+  { name: 'South San Francisco', region: 'peninsula', aliases: ['ssf', 'south sf', 's sf'] },
+  { name: 'Pacifica', region: 'peninsula', aliases: [] },
+  { name: 'San Bruno', region: 'peninsula', aliases: [] },
+  { name: 'Millbrae', region: 'peninsula', aliases: [] },
+  { name: 'Burlingame', region: 'peninsula', aliases: [] },
+  { name: 'San Mateo', region: 'peninsula', aliases: [] },
+  { name: 'Redwood City', region: 'peninsula', aliases: [] },
+  { name: 'Menlo Park', region: 'peninsula', aliases: [] },
+  { name: 'Palo Alto', region: 'peninsula', aliases: [] },
+  { name: 'Half Moon Bay', region: 'peninsula', aliases: [] },
+  { name: 'Peninsula', region: 'peninsula', aliases: [] },
+
+  { name: 'Mountain View', region: 'south-bay', aliases: [] },
+  { name: 'Sunnyvale', region: 'south-bay', aliases: [] },
+  { name: 'Santa Clara', region: 'south-bay', aliases: [] },
+  { name: 'San Jose', region: 'south-bay', aliases: ['sj', 'san josé'] },
+  { name: 'Campbell', region: 'south-bay', aliases: [] },
+  { name: 'South Bay', region: 'south-bay', aliases: [] },
+
+  { name: 'Sausalito', region: 'north-bay', aliases: [] },
+  { name: 'Mill Valley', region: 'north-bay', aliases: [] },
+  { name: 'San Rafael', region: 'north-bay', aliases: [] },
+  { name: 'Fairfax', region: 'north-bay', aliases: [] },
+  { name: 'Novato', region: 'north-bay', aliases: [] },
+  { name: 'Petaluma', region: 'north-bay', aliases: [] },
+  { name: 'Santa Rosa', region: 'north-bay', aliases: [] },
+  { name: 'Napa', region: 'north-bay', aliases: [] },
+  { name: 'North Bay', region: 'north-bay', aliases: [] },
+
+  { name: 'Santa Cruz', region: 'santa-cruz', aliases: [] },
+  { name: 'Sacramento', region: 'sacramento', aliases: ['sac', 'sacto'] },
+  { name: 'Davis', region: 'sacramento', aliases: [] },
+
+  { name: 'Los Angeles', region: 'la', aliases: ['la', 'dtla', 'downtown la', 'hollywood', 'silver lake', 'echo park', 'highland park', 'venice'] },
+  { name: 'West Hollywood', region: 'la', aliases: ['weho'] },
+  { name: 'Santa Monica', region: 'la', aliases: [] },
+  { name: 'Culver City', region: 'la', aliases: [] },
+  { name: 'Inglewood', region: 'la', aliases: [] },
+  { name: 'Pasadena', region: 'la', aliases: [] },
+  { name: 'Glendale', region: 'la', aliases: [] },
+  { name: 'Burbank', region: 'la', aliases: [] },
+  { name: 'Long Beach', region: 'la', aliases: [] },
+  { name: 'Anaheim', region: 'la', aliases: [] },
+  { name: 'Santa Ana', region: 'la', aliases: [] }
+];
+
+// Lookup key: lowercase, no dots, no trailing state/zip/country ("S.F." -> "sf",
+// "Oakland, CA 94607, USA" -> "oakland")
+function cityKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/(?:,\s*|\s+)(?:usa|united states)\s*$/, '')
+    .replace(/(?:,\s*|\s+)(?:ca|california)(?:\s+\d{5})?\s*$/, '')
+    .replace(/[^a-z0-9é ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const BY_KEY = new Map();
+CITIES.forEach(city => {
+  [city.name, ...city.aliases].forEach(alias => BY_KEY.set(cityKey(alias), city));
+});
+
+// { city, region } for a city as a source wrote it. Cities missing from the
+// table keep their own spelling and get a null region.
+function normalizeCity(text) {
+  const key = cityKey(text);
+  if (!key) return { city: null, region: null };
+  const known = BY_KEY.get(key);
+  if (known) return { city: known.name, region: known.region };
+  const raw = String(text).trim().replace(/(?:,\s*|\s+)(?:CA|California)(?:\s+\d{5})?(?:,\s*USA)?\s*$/i, '');
+  return { city: raw || null, region: null };
+}
+
+// City from a street address: the part before "CA 94133"
+// ("523 Broadway, San Francisco, CA 94133, USA" -> "San Francisco")
+function cityFromAddress(address) {
+  const parts = String(address || '').split(',').map(p => p.trim());
+  const stateIndex = parts.findIndex(p => /^[A-Z]{2}(?:\s+\d{5}(?:-\d{4})?)?$/.test(p));
+  return stateIndex > 0 ? parts[stateIndex - 1] : null;
+}
+
+// Keep events in an allowed region (the `region` config). Cities we don't know,
+// or events with no city at all, are kept only with `keepUnknown`.
+function applyRegionPolicy(events, policy, drops = {}) {
+  return events.filter(event => {
+    if (!event.region) {
+      if (policy.keepUnknown) return true;
+      countDrop(drops, event.city ? 'unknown-city' : 'no-city');
+      return false;
+    }
+    if (policy.allow.includes(event.region)) return true;
+    countDrop(drops, 'outside-area');
+    return false;
+  });
+}
+
+module.exports = {
+  CITIES,
+  applyRegionPolicy,
+  cityFromAddress,
+  normalizeCity
+};
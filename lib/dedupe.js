@@ -0,0 +1,139 @@
+// Cross-source duplicate detection. The same show is often listed on 19hz,
+// Partiful and posh.vip; we collapse those copies into one event that keeps
+// every source's link.
+
+const { stricterAge } = require('./age');
+const { clockToMinutes } = require('./time');
+
+// Words that say nothing about which show it is
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'at', 'of', 'with', 'w', 'presents', 'present', 'feat',
+  'ft', 'featuring', 'live', 'night', 'party', 'show', 'sf', 'x', 'vs', 'in', 'on'
+]);
+
+// Venue name reduced to lowercase letters and digits ("The Make-Out Room" -> "makeoutroom")
+function normalizeVenue(venue) {
+  return (venue || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, 'and')
+    .replace(/^the\s+/, '')
+    .replace(/,.*$/, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function venuesMatch(a, b) {
+  const va = normalizeVenue(a);
+  const vb = normalizeVenue(b);
+  if (!va || !vb) return false;
+  return va === vb || va.includes(vb) || vb.includes(va);
+}
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && !STOPWORDS.has(t));
+}
+
+// Overlap coefficient between the title+band words of two events (0..1).
+// Uses the smaller set as the denominator so "Tash" matches "Sound Box - Tash, Snkr".
+function titleSimilarity(a, b) {
+  const ta = new Set(tokenize([a.title, ...(a.bands || [])].join(' ')));
+  const tb = new Set(tokenize([b.title, ...(b.bands || [])].join(' ')));
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  ta.forEach(t => { if (tb.has(t)) shared++; });
+  return shared / Math.min(ta.size, tb.size);
+}
+
+// Unknown times never rule a match out
+function timesCompatible(a, b, maxDiffMinutes) {
+  const ma = clockToMinutes(a.start);
+  const mb = clockToMinutes(b.start);
+  if (ma === null || mb === null) return true;
+  return Math.abs(ma - mb) <= maxDiffMinutes;
+}
+
+function isDuplicate(a, b, options) {
+  return a.date === b.date &&
+    venuesMatch(a.venue, b.venue) &&
+    timesCompatible(a, b, options.maxStartDiffMinutes) &&
+    titleSimilarity(a, b) >= options.titleSimilarity;
+}
+
+function linksOf(event) {
+  if (event.links) return event.links;
+  return event.link ? [{ source: event.source, url: event.link }] : [];
+}
+
+// Fold `other` into `primary`: keep every link and the richest value of each field.
+// The merged event takes the smallest of its copies' IDs, so its /e/<id> page
+// doesn't move with the order sources were fetched in; `sourceIds` keeps them all.
+function mergeEvents(primary, other) {
+  const merged = { ...primary };
+  merged.sources = [...new Set([...(primary.sources || [primary.source]), ...(other.sources || [other.source])])];
+  merged.sourceIds = [...new Set([...(primary.sourceIds || [primary.id]), ...(other.sourceIds || [other.id])])].sort();
+  merged.id = merged.sourceIds[0];
+
+  merged.links = [...linksOf(primary)];
+  linksOf(other).forEach(l => {
+    if (!merged.links.some(existing => existing.url === l.url)) merged.links.push(l);
+  });
+  if (!merged.link && merged.links.length > 0) merged.link = merged.links[0].url;
+
+  // Take the time fields together so display, start and startsAt never disagree
+  if (!merged.start && other.start) {
+    ['time', 'doors', 'start', 'end', 'startsAt', 'endsAt'].forEach(field => { merged[field] = other[field]; });
+  }
+  ['venue', 'city', 'region', 'category', 'price', 'image', 'organizer'].forEach(field => {
+    if (!merged[field] && other[field]) merged[field] = other[field];
+  });
+  // A registry location (it has the neighborhood) beats one a source gave
+  if (other.location && (!merged.location || (!merged.location.neighborhood && other.location.neighborhood))) {
+    merged.location = other.location;
+  }
+  if ((other.details || '').length > (merged.details || '').length) merged.details = other.details;
+  if ((other.description || '').length > (merged.description || '').length) merged.description = other.description;
+  // Foopee falls back to the venue as title when a show has no bands listed
+  if (other.title && merged.title === merged.venue) merged.title = other.title;
+  merged.bands = [...new Set([...(primary.bands || []), ...(other.bands || [])])];
+  merged.tags = [...new Set([...(primary.tags || []), ...(other.tags || [])])];
+  // A restriction listed by any source applies
+  merged.age = stricterAge(primary.age, other.age);
+
+  return merged;
+}
+
+// Collapse duplicate events. Earlier events win ties, so source order in config
+// decides which copy's title and primary link are shown.
+function dedupeEvents(events, options = {}) {
+  const opts = { titleSimilarity: 0.5, maxStartDiffMinutes: 90, ...options };
+  const byDate = {};
+  const result = [];
+  let merges = 0;
+
+  events.forEach(event => {
+    const candidates = byDate[event.date] || (byDate[event.date] = []);
+    const match = candidates.find(c => !c.event.sources.includes(event.source) && isDuplicate(c.event, event, opts));
+    if (match) {
+      match.event = mergeEvents(match.event, event);
+      result[match.index] = match.event;
+      merges++;
+      return;
+    }
+    const normalized = { ...event, sources: [event.source], sourceIds: [event.id], links: linksOf(event) };
+    candidates.push({ event: normalized, index: result.length });
+    result.push(normalized);
+  });
+
+  if (merges > 0) console.log(`Merged ${merges} duplicate events across sources`);
+  return result;
+}
+
+module.exports = {
+  dedupeEvents,
+  normalizeVenue,
+  titleSimilarity
+};
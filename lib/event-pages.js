@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { AGE_LABELS } = require('./age');
+const { formatPrice } = require('./price');
+const { mapsUrl } = require('./venues');
+const { eventIcsPath } = require('./ical');
+
+// A static page per upcoming event at e/<id>.html (served as /e/<id> through
+// vercel.json's cleanUrls), with everything the cards leave out: the full
+// lineup and description, the flyer, every source link, and Open Graph tags
+// for link previews. Pages of past shows are removed with each build.
+const EVENT_PAGE_DIR = 'e';
+
+function escapeHtml(text) {
+  return String(text || '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;'
+  })[c]);
+}
+
+// Site-relative path of an event's page, for links from the metro's index
+function eventPagePath(event) {
+  return `${EVENT_PAGE_DIR}/${event.id}`;
+}
+
+function longDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric', year: 'numeric'
+  });
+}
+
+// One-line summary for previews: "Sat, Feb 14 · 9pm · Make-Out Room, San Francisco"
+function summary(event) {
+  const day = new Date(`${event.date}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric'
+  });
+  const where = [event.venue, event.city].filter(Boolean).join(', ');
+  return [day, event.time, where].filter(Boolean).join(' · ');
+}
+
+// Text for og:description: the summary, then the lineup or description
+function previewText(event) {
+  const more = (event.bands || []).length > 0 ? event.bands.join(', ') : (event.description || event.details || '');
+  const text = [summary(event), more].filter(Boolean).join(' — ').replace(/\s+/g, ' ');
+  return text.length > 200 ? `${text.slice(0, 197)}...` : text;
+}
+
+function paragraphs(text) {
+  return String(text).split(/\n{2,}/).map(p => `            <p>${escapeHtml(p.trim()).replace(/\n/g, '<br>')}</p>\n`).join('');
+}
+
+// `site`: { title, url (absolute URL of the metro's site, or ''), genreLabel(id) }
+function buildEventPage(event, site) {
+  const genreLabel = site.genreLabel || (id => id);
+  const pageUrl = site.url ? `${site.url.replace(/\/$/, '')}/${eventPagePath(event)}` : '';
+  const where = [event.venue, event.location && event.location.neighborhood, event.city].filter((v, i, all) => v && all.indexOf(v) === i).join(', ');
+  const price = formatPrice(event.price);
+  const mapLink = mapsUrl(event);
+  const links = (event.links && event.links.length > 0) ? event.links : (event.link ? [{ source: event.source, url: event.link }] : []);
+  const facts = [
+    price ? `<span class="event-price">${escapeHtml(price)}</span>` : '',
+    AGE_LABELS[event.age] ? `<span class="event-age">${escapeHtml(AGE_LABELS[event.age])}</span>` : '',
+    ...(event.genres || []).map(g => `<span class="event-genre">${escapeHtml(genreLabel(g))}</span>`)
+  ].filter(Boolean).join('');
+  const address = event.location && event.location.address;
+  const body = [
+    where ? `        <div class="where">${escapeHtml(where)}${address ? ` &middot; ${escapeHtml(address)}` : ''}</div>\n` : '',
+    facts ? `        <div class="facts">${facts}</div>\n` : '',
+    event.image ? `        <img class="flyer" src="${escapeHtml(event.image)}" alt="Flyer for ${escapeHtml(event.title)}">\n` : '',
+    (event.bands || []).length > 0
+      ? `        <h2>Lineup</h2>\n        <ul class="lineup">\n${event.bands.map(b => `            <li>${escapeHtml(b)}</li>\n`).join('')}        </ul>\n`
+      : '',
+    event.description || event.details
+      ? `        <h2>About</h2>\n        <div class="description">\n${paragraphs(event.description || event.details)}        </div>\n`
+      : '',
+    event.organizer ? `        <p>Presented by ${escapeHtml(event.organizer)}</p>\n` : ''
+  ].join('');
+  const meta = [
+    ['og:type', 'website'],
+    ['og:site_name', site.title],
+    ['og:title', event.title],
+    ['og:description', previewText(event)],
+    ['og:url', pageUrl],
+    ['og:image', event.image]
+  ].filter(([, content]) => content)
+    .map(([property, content]) => `    <meta property="${property}" content="${escapeHtml(content)}">\n`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(event.title)} | ${escapeHtml(site.title)}</title>
+    <meta name="description" content="${escapeHtml(previewText(event))}">
+${pageUrl ? `    <link rel="canonical" href="${escapeHtml(pageUrl)}">\n` : ''}${meta}    <meta name="twitter:card" content="${event.image ? 'summary_large_image' : 'summary'}">
+    <link href="https://fonts.googleapis.com/css2?family=Bebas+Neue&family=Azeret+Mono:wght@400;600&family=DM+Mono:wght@300;400&display=swap" rel="stylesheet">
+    <style>
+        :root {
+            --acid-green: #CCFF00;
+            --electric-blue: #00F0FF;
+            --deep-black: #0A0A0A;
+            --concrete: #1A1A1A;
+            --white: #FFFFFF;
+        }
+
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            background: var(--deep-black);
+            color: var(--white);
+            font-family: 'DM Mono', monospace;
+            line-height: 1.6;
+        }
+
+        main {
+            max-width: 760px;
+            margin: 0 auto;
+            padding: 40px 20px 80px;
+        }
+
+        a {
+            color: var(--electric-blue);
+        }
+
+        .back {
+            font-family: 'Azeret Mono', monospace;
+            font-size: 0.75rem;
+            text-transform: uppercase;
+            letter-spacing: 0.1em;
+        }
+
+        h1 {
+            font-family: 'Bebas Neue', sans-serif;
+            font-size: 3rem;
+            line-height: 1.05;
+            margin: 24px 0 12px;
+            color: var(--acid-green);
+        }
+
+        .when,
+        .where {
+            font-family: 'Azeret Mono', monospace;
+            font-size: 0.9rem;
+        }
+
+        .where {
+            color: var(--electric-blue);
+            margin-bottom: 16px;
+        }
+
+        .facts span {
+            display: inline-block;
+            border: 1px solid var(--concrete);
+            padding: 4px 10px;
+            margin: 0 6px 6px 0;
+            font-size: 0.75rem;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+        }
+
+        .flyer {
+            display: block;
+            max-width: 100%;
+            max-height: 80vh;
+            margin: 24px 0;
+            border: 1px solid var(--concrete);
+        }
+
+        h2 {
+            font-family: 'Azeret Mono', monospace;
+            font-size: 0.8rem;
+            text-transform: uppercase;
+            letter-spacing: 0.15em;
+            color: var(--acid-green);
+            margin: 32px 0 12px;
+        }
+
+        .lineup {
+            list-style: none;
+        }
+
+        p {
+            margin-bottom: 12px;
+        }
+
+        .actions a {
+            margin-right: 20px;
+        }
+    </style>
+</head>
+<body>
+    <main>
+        <a class="back" href="../">&larr; ${escapeHtml(site.title)}</a>
+        <h1>${escapeHtml(event.title)}</h1>
+        <div class="when">${escapeHtml(longDate(event.date))}${event.time ? ` &middot; ${escapeHtml(event.time)}` : ''}</div>
+${body}        <h2>Tickets &amp; info</h2>
+        <div class="actions">
+${links.map(l => `            <a href="${escapeHtml(l.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(l.source)} &nearr;</a>\n`).join('')}            <a href="../${escapeHtml(eventIcsPath(event))}" download>+ Add to calendar</a>
+${mapLink ? `            <a href="${escapeHtml(mapLink)}" target="_blank" rel="noopener noreferrer">Map &nearr;</a>\n` : ''}        </div>
+    </main>
+</body>
+</html>
+`;
+}
+
+// Write a page per event into <outDir>/e/, rebuilt from scratch each time
+function writeEventPages(events, outDir = '.', site = {}) {
+  const pageDir = path.join(outDir, EVENT_PAGE_DIR);
+  fs.rmSync(pageDir, { recursive: true, force: true });
+  fs.mkdirSync(pageDir, { recursive: true });
+  events.forEach(event => {
+    fs.writeFileSync(path.join(pageDir, `${event.id}.html`), buildEventPage(event, site), 'utf8');
+  });
+  return events.length;
+}
+
+module.exports = {
+  buildEventPage,
+  eventPagePath,
+  writeEventPages
+};
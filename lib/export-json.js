@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bump when a field is removed or changes meaning; adding fields is backwards compatible.
+// The shape is documented in events.schema.json.
+const SCHEMA_VERSION = 1;
+
+// Public fields of a normalized event, in the order they appear in events.json
+const EVENT_FIELDS = [
+  'id', 'date', 'time', 'doors', 'start', 'end', 'startsAt', 'endsAt', 'source', 'sources', 'title', 'venue', 'city', 'region',
+  'location', 'details', 'description', 'image', 'organizer', 'age', 'price', 'bands', 'link', 'links', 'category', 'genres'
+];
+
+function toExportEvent(event) {
+  const out = {};
+  EVENT_FIELDS.forEach(field => {
+    out[field] = event[field] === undefined ? null : event[field];
+  });
+  return out;
+}
+
+// Write the aggregated events as a static JSON API next to index.html.
+// The schema stays at the site root, so metros in subdirectories point up to it.
+function writeEventsJSON(events, file = 'events.json', timezone = 'America/Los_Angeles') {
+  const schema = path.relative(path.dirname(file), 'events.schema.json').split(path.sep).join('/');
+  const payload = {
+    $schema: schema.startsWith('.') ? schema : `./${schema}`,
+    version: SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    timezone,
+    count: events.length,
+    events: events.map(toExportEvent)
+  };
+  fs.writeFileSync(file, JSON.stringify(payload, null, 2) + '\n', 'utf8');
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  writeEventsJSON
+};
@@ -0,0 +1,59 @@
+// Genre classification against the taxonomy in config.genres. Each genre lists
+// `keywords`, matched as whole words in the title, details, description,
+// organizer, lineup and source tags, and optionally `tags`, matched only against the source's own genre tags
+// (19hz's tags column) for words too ambiguous for free text ("house").
+// A genre with a `parent` also tags the event with the parent.
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive matcher for a list of phrases (null for an empty list)
+function phraseMatcher(phrases) {
+  if (!phrases || phrases.length === 0) return null;
+  return new RegExp(`(?<![a-z0-9])(?:${phrases.map(escapeRegExp).join('|')})(?![a-z0-9])`, 'i');
+}
+
+const compiled = new WeakMap();
+
+function compile(taxonomy) {
+  if (!compiled.has(taxonomy)) {
+    compiled.set(taxonomy, Object.entries(taxonomy).map(([id, genre]) => ({
+      id,
+      parent: genre.parent || null,
+      keywords: phraseMatcher(genre.keywords),
+      tags: phraseMatcher(genre.tags)
+    })));
+  }
+  return compiled.get(taxonomy);
+}
+
+// Genre ids for an event, in taxonomy order. Falls back to `fallback` (the
+// source's defaultGenres) when nothing matches.
+function classifyGenres(event, taxonomy, fallback = []) {
+  const tagText = (event.tags || []).join(', ');
+  const text = [event.title, event.details, event.description, event.organizer, ...(event.bands || []), tagText].filter(Boolean).join(' \n ');
+  const found = new Set();
+
+  compile(taxonomy).forEach(genre => {
+    const matched = (genre.keywords && genre.keywords.test(text)) || (genre.tags && genre.tags.test(tagText));
+    if (!matched) return;
+    found.add(genre.id);
+    if (genre.parent) found.add(genre.parent);
+  });
+
+  if (found.size === 0) return [...fallback];
+  return Object.keys(taxonomy).filter(id => found.has(id));
+}
+
+// Display name for a genre id ("drum-and-bass" -> the taxonomy's "Drum & Bass")
+function genreLabel(id, taxonomy) {
+  const genre = taxonomy[id];
+  if (genre && genre.label) return genre.label;
+  return id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+module.exports = {
+  classifyGenres,
+  genreLabel
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+
+// Remembers which events earlier builds have seen, so the Atom feed can list
+// only shows that are new since then. Stored as { version, events: { id: { firstSeen, date } } }.
+const STATE_VERSION = 2;
+
+function loadState(file) {
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (state.version === STATE_VERSION && state.events) return state;
+    console.log(`  ${file} has an unknown format, starting fresh.`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.log(`  Could not read ${file}: ${error.message}`);
+  }
+  return null;
+}
+
+// Compare this build's events with the saved state and persist the result.
+// Returns the events with `firstSeen` set (ISO string, or null for events that were
+// already there when history started) and the number of new ones.
+function updateHistory(events, file, todayStr) {
+  const previous = loadState(file);
+  const now = new Date().toISOString();
+  const seen = {};
+  let newCount = 0;
+
+  // Keep entries for shows that haven't happened yet, even if a source dropped them this run
+  if (previous) {
+    Object.entries(previous.events).forEach(([id, entry]) => {
+      if (entry.date >= todayStr) seen[id] = entry;
+    });
+  }
+
+  // A merged event is known under each of its sources' IDs, so it isn't new
+  // again when a source joins or leaves and its ID changes
+  const annotated = events.map(event => {
+    const ids = [event.id, ...(event.sourceIds || [])];
+    const known = ids.find(id => seen[id]);
+    const entry = known ? seen[known] : { firstSeen: previous ? now : null, date: event.date };
+    // The very first build only records a baseline; otherwise the feed would list everything
+    if (!known && previous) newCount++;
+    ids.forEach(id => { seen[id] = entry; });
+    return { ...event, firstSeen: entry.firstSeen };
+  });
+
+  fs.writeFileSync(file, JSON.stringify({ version: STATE_VERSION, updatedAt: now, events: seen }, null, 2) + '\n', 'utf8');
+  if (!previous) console.log(`  No previous build state; recorded ${events.length} events as a baseline.`);
+  return { events: annotated, newCount };
+}
+
+module.exports = {
+  updateHistory
+};
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+// On-disk HTTP cache for the scrapers (the `http` config). Responses are kept
+// in `cacheDir` with their ETag/Last-Modified; within a source's TTL we don't
+// ask upstream at all, after it we revalidate with a conditional request.
+// Failed requests are retried with exponential backoff, each attempt is cut
+// off after `requestTimeoutMs`, requests to one host are spaced
+// `hostIntervalMs` apart, and in offline mode (build --offline) everything
+// comes from the cache. When upstream fails, a cached copy up to
+// `maxStaleMinutes` old stands in for it; older copies are not used.
+
+const DEFAULTS = {
+  cacheDir: '.cache/http',
+  ttlMinutes: 30,
+  retries: 2,
+  retryDelayMs: 1000,
+  hostIntervalMs: 1000,
+  requestTimeoutMs: 20000,
+  maxStaleMinutes: 1440,
+  offline: false
+};
+
+let settings = { ...DEFAULTS };
+// Per host: promise that resolves when the next request may start
+const hostQueues = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function configureHttp(options = {}) {
+  settings = { ...DEFAULTS, ...options };
+  hostQueues.clear();
+}
+
+function cacheFile(url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex');
+  return path.join(settings.cacheDir, `${hash}.json`);
+}
+
+function readCache(url) {
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile(url), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeCache(url, entry) {
+  try {
+    fs.mkdirSync(settings.cacheDir, { recursive: true });
+    fs.writeFileSync(cacheFile(url), JSON.stringify({ url, ...entry }), 'utf8');
+  } catch (error) {
+    console.error(`  Could not cache ${url}:`, error.message);
+  }
+}
+
+// Wait for our turn on the URL's host, so one host never sees more than one
+// request per `hostIntervalMs`
+function waitForHost(url) {
+  const host = new URL(url).host;
+  const turn = hostQueues.get(host) || Promise.resolve();
+  hostQueues.set(host, turn.then(() => sleep(settings.hostIntervalMs)));
+  return turn;
+}
+
+// Worth another try: network errors, rate limiting and server errors
+function retryable(status) {
+  return status === undefined || status === 408 || status === 429 || status >= 500;
+}
+
+function cancelled(url) {
+  const error = new Error(`Cancelled ${url}`);
+  error.cancelled = true;
+  return error;
+}
+
+// One attempt, cut off after requestTimeoutMs or when `signal` aborts.
+// Resolves to { status, etag, lastModified, body }.
+async function request(url, headers, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  const timer = setTimeout(onAbort, settings.requestTimeoutMs);
+  if (signal) signal.addEventListener('abort', onAbort);
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+    return {
+      status: response.status,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      body: response.status === 304 ? null : await response.text()
+    };
+  } catch (error) {
+    if (signal && signal.aborted) throw cancelled(url);
+    if (controller.signal.aborted) throw new Error(`Timed out after ${settings.requestTimeoutMs}ms`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// One request with retries. Resolves to the response, or throws the last error.
+// Cancelling through `signal` stops at once, without further retries.
+async function requestWithRetry(url, headers, signal) {
+  let lastError;
+  for (let attempt = 0; attempt <= settings.retries; attempt++) {
+    if (attempt > 0) {
+      const delay = settings.retryDelayMs * 2 ** (attempt - 1);
+      console.log(`  Retrying ${url} in ${delay}ms (attempt ${attempt + 1} of ${settings.retries + 1})...`);
+      await sleep(delay);
+    }
+    await waitForHost(url);
+    if (signal && signal.aborted) throw cancelled(url);
+    let response;
+    try {
+      response = await request(url, headers, signal);
+    } catch (error) {
+      if (error.cancelled) throw error;
+      lastError = error;
+      continue;
+    }
+    if ((response.status >= 200 && response.status < 300) || response.status === 304) return response;
+    lastError = new Error(`HTTP error! status: ${response.status}`);
+    lastError.status = response.status;
+    if (!retryable(response.status)) break;
+  }
+  throw lastError;
+}
+
+// Body of `url` as text, through the cache. `ttlMinutes` overrides the default
+// freshness; `signal` cancels the request. Returns null when it can't be had
+// (logged). When upstream fails, a cached copy no older than `maxStaleMinutes`
+// is returned instead, and `onStale(fetchedAt)` is told when that copy is from.
+async function fetchText(url, { ttlMinutes = settings.ttlMinutes, signal, onStale } = {}) {
+  const cached = readCache(url);
+
+  if (settings.offline) {
+    if (cached) return cached.body;
+    console.error(`Error fetching ${url}: not in the cache (offline)`);
+    return null;
+  }
+  if (cached && Date.now() - cached.fetchedAt < ttlMinutes * 60000) {
+    return cached.body;
+  }
+
+  const headers = {};
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  try {
+    const response = await requestWithRetry(url, headers, signal);
+    if (response.status === 304 && cached) {
+      writeCache(url, { ...cached, fetchedAt: Date.now() });
+      return cached.body;
+    }
+    writeCache(url, {
+      fetchedAt: Date.now(),
+      etag: response.etag,
+      lastModified: response.lastModified,
+      body: response.body
+    });
+    return response.body;
+  } catch (error) {
+    const cachedAt = cached && new Date(cached.fetchedAt).toISOString();
+    if (cached && Date.now() - cached.fetchedAt <= settings.maxStaleMinutes * 60000) {
+      console.error(`Error fetching ${url}: ${error.message}; using the copy cached ${cachedAt}`);
+      if (onStale) onStale(cached.fetchedAt);
+      return cached.body;
+    }
+    if (cached) {
+      console.error(`Error fetching ${url}: ${error.message}; the cached copy from ${cachedAt} is too old to use`);
+      return null;
+    }
+    console.error(`Error fetching ${url}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  configureHttp,
+  fetchText
+};
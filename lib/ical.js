@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { TIMEZONE, addDays, clockToMinutes } = require('./time');
+
+// Shows without an end time get this long in calendars
+const DEFAULT_DURATION_MINUTES = 180;
+// Per-event downloads linked from each card
+const EVENT_ICS_DIR = 'ics';
+
+// US Pacific rules since 2007 (second Sunday in March / first Sunday in November).
+// Calendars for metros in other zones use UTC times instead of a TZID.
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'X-LIC-LOCATION:America/Los_Angeles',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0800',
+  'TZOFFSETTO:-0700',
+  'TZNAME:PDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0700',
+  'TZOFFSETTO:-0800',
+  'TZNAME:PST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// Escape TEXT values (RFC 5545 3.3.11)
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1)
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Local "YYYYMMDDTHHMMSS" for a date plus minutes after its midnight (may spill into later days)
+function formatLocal(dateStr, minutes) {
+  const day = addDays(dateStr, Math.floor(minutes / 1440));
+  const m = minutes % 1440;
+  const hh = String(Math.floor(m / 60)).padStart(2, '0');
+  const mm = String(m % 60).padStart(2, '0');
+  return `${day.replace(/-/g, '')}T${hh}${mm}00`;
+}
+
+// "2026-02-14T21:00:00-08:00" -> "20260214T210000" (local time; TZID says which zone)
+function formatIsoLocal(iso) {
+  return iso.slice(0, 19).replace(/[-:]/g, '');
+}
+
+function formatUtcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Relative path of the single-event .ics download for a card
+function eventIcsPath(event) {
+  return `${EVENT_ICS_DIR}/${event.id}.ics`;
+}
+
+function buildVEvent(event, stamp, timeZone) {
+  const lines = ['BEGIN:VEVENT', `UID:${event.id}@sf-event-agg`, `DTSTAMP:${stamp}`];
+
+  if (event.startsAt && timeZone === TIMEZONE) {
+    const end = event.endsAt
+      ? formatIsoLocal(event.endsAt)
+      : formatLocal(event.date, clockToMinutes(event.start) + DEFAULT_DURATION_MINUTES);
+    lines.push(`DTSTART;TZID=${TIMEZONE}:${formatIsoLocal(event.startsAt)}`);
+    lines.push(`DTEND;TZID=${TIMEZONE}:${end}`);
+  } else if (event.startsAt) {
+    const start = new Date(event.startsAt);
+    const end = event.endsAt ? new Date(event.endsAt) : new Date(start.getTime() + DEFAULT_DURATION_MINUTES * 60000);
+    lines.push(`DTSTART:${formatUtcStamp(start)}`);
+    lines.push(`DTEND:${formatUtcStamp(end)}`);
+  } else {
+    // No usable time: all-day event
+    lines.push(`DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`);
+    lines.push(`DTEND;VALUE=DATE:${addDays(event.date, 1).replace(/-/g, '')}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  const location = [event.venue, event.city].filter(Boolean).join(', ');
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+
+  const description = [];
+  if (event.time) description.push(`Time: ${event.time}`);
+  if (event.bands && event.bands.length > 0) description.push(`Lineup: ${event.bands.join(', ')}`);
+  if (event.details) description.push(event.details);
+  (event.links || []).forEach(l => description.push(`${l.source}: ${l.url}`));
+  if (description.length > 0) lines.push(`DESCRIPTION:${escapeText(description.join('\n'))}`);
+
+  if (event.link) lines.push(`URL:${event.link}`);
+  if (event.genres && event.genres.length > 0) lines.push(`CATEGORIES:${event.genres.map(escapeText).join(',')}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Full VCALENDAR document for a list of events
+function buildCalendar(events, name, timeZone = TIMEZONE) {
+  const stamp = formatUtcStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//sf-event-agg//SF Music Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+    ...(timeZone === TIMEZONE ? VTIMEZONE : [])
+  ];
+  events.forEach(event => lines.push(...buildVEvent(event, stamp, timeZone)));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Write events.ics, one events-<genre>.ics per genre and a download per event.
+// Returns the genres that got their own feed.
+function writeCalendars(events, outDir = '.', options = {}) {
+  const {
+    title = 'SF Music Events',
+    timeZone = TIMEZONE,
+    genreLabel = genre => `${genre.charAt(0).toUpperCase()}${genre.slice(1)}`
+  } = options;
+  fs.writeFileSync(path.join(outDir, 'events.ics'), buildCalendar(events, title, timeZone), 'utf8');
+
+  const genres = [...new Set(events.flatMap(e => e.genres || []))].sort();
+  genres.forEach(genre => {
+    const genreEvents = events.filter(e => (e.genres || []).includes(genre));
+    const name = `${title}: ${genreLabel(genre)}`;
+    fs.writeFileSync(path.join(outDir, `events-${genre}.ics`), buildCalendar(genreEvents, name, timeZone), 'utf8');
+  });
+
+  // Rebuild the per-event directory from scratch so past shows don't linger
+  const eventDir = path.join(outDir, EVENT_ICS_DIR);
+  fs.rmSync(eventDir, { recursive: true, force: true });
+  fs.mkdirSync(eventDir, { recursive: true });
+  events.forEach(event => {
+    fs.writeFileSync(path.join(outDir, eventIcsPath(event)), buildCalendar([event], event.title, timeZone), 'utf8');
+  });
+
+  return genres;
+}
+
+module.exports = {
+  buildCalendar,
+  eventIcsPath,
+  writeCalendars
+};
@@ -0,0 +1,76 @@
+// The site's map view: an inline SVG with a hand-drawn basemap per metro
+// (data/basemaps/<metro>.json: bounds, land polygons as [long, lat] and place
+// labels) and one pin per venue. No tiles or API keys, so it works offline.
+
+const WIDTH = 1000;
+
+function escapeXml(text) {
+  return String(text || '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;'
+  })[c]);
+}
+
+// Equirectangular projection, with longitude shrunk by cos(latitude) so the
+// map isn't stretched sideways. Returns the SVG size and a point projector.
+function projection(bounds, width = WIDTH) {
+  const midLat = (bounds.north + bounds.south) / 2;
+  const xScale = width / (bounds.east - bounds.west);
+  const yScale = xScale / Math.cos(midLat * Math.PI / 180);
+  const height = Math.round((bounds.north - bounds.south) * yScale);
+  const project = (lat, long) => ({
+    x: Math.round((long - bounds.west) * xScale * 10) / 10,
+    y: Math.round((bounds.north - lat) * yScale * 10) / 10
+  });
+  return { width, height, project };
+}
+
+function inBounds(bounds, lat, long) {
+  return lat <= bounds.north && lat >= bounds.south && long >= bounds.west && long <= bounds.east;
+}
+
+// One pin per venue location: { venue, lat, long, ids } for events with
+// coordinates inside the map, busiest venue first
+function venuePins(events, bounds) {
+  const pins = new Map();
+  events.forEach(event => {
+    const location = event.location;
+    if (!location || typeof location.lat !== 'number' || typeof location.long !== 'number') return;
+    if (!inBounds(bounds, location.lat, location.long)) return;
+    const key = `${location.lat.toFixed(4)},${location.long.toFixed(4)}`;
+    if (!pins.has(key)) pins.set(key, { venue: event.venue, lat: location.lat, long: location.long, ids: [] });
+    pins.get(key).ids.push(event.id);
+  });
+  return [...pins.values()].sort((a, b) => b.ids.length - a.ids.length);
+}
+
+// The map's SVG: water background, land, labels, then pins (smaller venues
+// drawn last so they stay clickable on top of busy ones)
+function mapSvg(events, basemap) {
+  const { width, height, project } = projection(basemap.bounds);
+  const land = basemap.land.map(shape => {
+    const points = shape.points.map(([long, lat]) => {
+      const p = project(lat, long);
+      return `${p.x},${p.y}`;
+    }).join(' ');
+    return `<polygon class="map-land" points="${points}"><title>${escapeXml(shape.name)}</title></polygon>`;
+  });
+  const labels = (basemap.labels || []).map(label => {
+    const p = project(label.lat, label.long);
+    return `<text class="map-label" x="${p.x}" y="${p.y}">${escapeXml(label.text)}</text>`;
+  });
+  const pins = venuePins(events, basemap.bounds).map(pin => {
+    const p = project(pin.lat, pin.long);
+    return `<g class="map-pin" transform="translate(${p.x} ${p.y})" data-venue="${escapeXml(pin.venue)}" data-event-ids="${escapeXml(pin.ids.join(','))}" tabindex="0" role="button">` +
+      `<title>${escapeXml(pin.venue)}</title><circle r="9"></circle><text class="map-pin-count" dy="4">${pin.ids.length}</text></g>`;
+  });
+  return `<svg class="map-svg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Map of venues">` +
+    `<rect class="map-water" width="${width}" height="${height}"></rect>` +
+    land.join('') + labels.join('') + pins.join('') +
+    '</svg>';
+}
+
+module.exports = {
+  mapSvg,
+  projection,
+  venuePins
+};
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const { fetchText } = require('./http');
+
+// State a build hands to the next one (build-report.json's source baseline,
+// build-state.json's first-seen history) is written into the metro's outDir,
+// so it's deployed along with the site. Hosts that build in a fresh checkout
+// (Vercel) don't have last build's files, so they're fetched back from the
+// live site, which only ever holds a build that succeeded.
+
+// Copy `url` to `file` unless `file` already exists. Returns whether it did.
+async function restoreFromSite(file, url) {
+  if (!url || fs.existsSync(file)) return false;
+  const body = await fetchText(url, { ttlMinutes: 0 });
+  if (!body) return false;
+  try {
+    JSON.parse(body);
+  } catch (error) {
+    console.error(`  ${url} isn't JSON; not restoring ${file}`);
+    return false;
+  }
+  fs.writeFileSync(file, body, 'utf8');
+  console.log(`  Restored ${file} from ${url}`);
+  return true;
+}
+
+module.exports = {
+  restoreFromSite
+};
@@ -0,0 +1,66 @@
+// Ticket prices. Every event gets `price`: { min, max, free, soldOut } in
+// dollars, or null when the source doesn't say. `free` means you can get in
+// without paying (min is 0), even if later entry costs money ("free before 11").
+
+const DOLLARS = /\$\s*(\d+(?:\.\d{1,2})?)(?:\s*(?:-|–|to|\/)\s*\$?\s*(\d+(?:\.\d{1,2})?))?/gi;
+// In a price field ("a/a free 8pm", "free | 21+"): the word free, but not
+// "feel free to..." or "gluten-free"
+const FREE_WORD = /(?<!feel |-)\bfree\b|\bno cover\b/i;
+// In prose, only phrasing about getting in: "free entry", "admission is free"
+const FREE_ENTRY = /\bfree\s+(?:entry|admission|show|event|concert|party|cover)\b|\b(?:entry|admission|cover)\s+(?:is\s+)?free\b|\bno cover\b/i;
+// Free entry for part of the night, which still counts next to a price ("free before 11, $10 after")
+const FREE_UNTIL = /\bfree\s+(?:entry\s+|admission\s+)?(?:before|until|til|b4)\b/i;
+const SOLD_OUT = /\bsold[\s-]*out\b|\(s\/o\)/i;
+
+function makePrice(amounts, soldOut) {
+  const min = Math.min(...amounts);
+  const max = Math.max(...amounts);
+  return { min, max, free: min === 0, soldOut };
+}
+
+// Price from text: "$10-15", "$20/$25", "free before 4", "21+ $15 8pm". Source
+// price fields take a bare "free"; with `prose` (event descriptions) only free
+// entry phrasing counts, so "free drinks" or "feel free" don't make a show free.
+// Next to a dollar amount, free only counts for part of the night ("free before 11").
+function parsePrice(text, { prose = false } = {}) {
+  const str = String(text || '');
+  const amounts = [];
+  for (const match of str.matchAll(DOLLARS)) {
+    amounts.push(parseFloat(match[1]));
+    if (match[2]) amounts.push(parseFloat(match[2]));
+  }
+  const freeEntry = (prose ? FREE_ENTRY : FREE_WORD).test(str);
+  if (FREE_UNTIL.test(str) || (freeEntry && amounts.length === 0)) amounts.push(0);
+  const soldOut = SOLD_OUT.test(str);
+  if (amounts.length === 0) return soldOut ? { min: null, max: null, free: false, soldOut } : null;
+  return makePrice(amounts, soldOut);
+}
+
+// Price from posh.vip's ticket list. Hidden tiers (comps, tables) don't count;
+// tiers listed in `soldOutItems` only count when everything is gone.
+function priceFromTickets(tickets, soldOutIds = []) {
+  const visible = (tickets || []).filter(t => !t.isHidden && !t.priceHidden && typeof t.price === 'number');
+  if (visible.length === 0) return null;
+  const remaining = visible.filter(t => !soldOutIds.includes(t.id) && !t.closed);
+  const soldOut = remaining.length === 0;
+  return makePrice((soldOut ? visible : remaining).map(t => t.price), soldOut);
+}
+
+// Display label for a price: "$15", "$10–15", "Free", "Free–$40", with "sold out"
+function formatPrice(price) {
+  if (!price) return '';
+  const dollars = n => (Number.isInteger(n) ? String(n) : n.toFixed(2));
+  let text = '';
+  if (price.min !== null) {
+    if (price.max === price.min) text = price.free ? 'Free' : `$${dollars(price.min)}`;
+    else text = `${price.free ? 'Free' : `$${dollars(price.min)}`}–${price.free ? '$' : ''}${dollars(price.max)}`;
+  }
+  if (price.soldOut) text = text ? `${text} sold out` : 'Sold out';
+  return text;
+}
+
+module.exports = {
+  formatPrice,
+  parsePrice,
+  priceFromTickets
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+
+// Per-source health for build-report.json. Every scraper degrades to "no events"
+// on failure, so these numbers are how we notice a broken source.
+
+// Fetch and parse one source, timing it and counting what it kept and dropped.
+// `filter(events, drops)` applies build-wide rules (the region allowlist) so
+// their drops are counted against the source too. `options` (the metro's URLs,
+// coordinates and timezone) are handed to the source's fetch and parse, with a
+// `signal` that aborts once `options.timeoutMs` is up; a source that ignores it
+// is given up on anyway. A source served from stale cached copies because
+// upstream failed is reported as 'stale', with `staleSince` the oldest copy's
+// time. Never throws: a failing source is reported, not fatal.
+async function runSource(source, todayStr, filter = events => events, options = {}) {
+  const started = Date.now();
+  const stats = {
+    name: source.name,
+    label: source.label,
+    status: 'ok',
+    error: null,
+    staleSince: null,
+    raw: 0,
+    kept: 0,
+    dropped: {},
+    durationMs: 0
+  };
+  let events = [];
+
+  const controller = new AbortController();
+  let timer = null;
+  const timedOut = new Promise((resolve, reject) => {
+    if (!options.timeoutMs) return;
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${Math.round(options.timeoutMs / 1000)}s`));
+    }, options.timeoutMs);
+  });
+
+  const onStale = fetchedAt => {
+    const since = new Date(fetchedAt).toISOString();
+    if (!stats.staleSince || since < stats.staleSince) stats.staleSince = since;
+  };
+
+  try {
+    const raw = await Promise.race([source.fetch({ ...options, signal: controller.signal, onStale }), timedOut]);
+    if (!raw || (Array.isArray(raw) && raw.length === 0)) {
+      stats.status = 'failed';
+      stats.error = 'Nothing fetched';
+    } else {
+      events = filter(source.parse(raw, todayStr, stats.dropped, options), stats.dropped);
+    }
+  } catch (err) {
+    stats.status = 'failed';
+    stats.error = err.message;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  stats.kept = events.length;
+  stats.raw = stats.kept + Object.values(stats.dropped).reduce((sum, n) => sum + n, 0);
+  if (stats.status === 'ok' && stats.kept === 0) stats.status = 'empty';
+  if (stats.status === 'ok' && stats.staleSince) stats.status = 'stale';
+  stats.durationMs = Date.now() - started;
+  return { events, stats };
+}
+
+function loadReport(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeReport(report, file) {
+  fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n', 'utf8');
+}
+
+// Per source, what it kept in the last build that passed the thresholds. Reports
+// carry this as `baseline`; reports from before it existed fall back to their counts.
+function previousCounts(previous) {
+  if (!previous) return {};
+  if (previous.baseline) return previous.baseline;
+  const counts = {};
+  (previous.sources || []).forEach(s => { counts[s.name] = s.kept; });
+  return counts;
+}
+
+function sourceFailure(s, before, health) {
+  const min = (health.minEvents || {})[s.name];
+  if (min !== undefined && s.kept < min) {
+    return `${s.label}: kept ${s.kept} events, expected at least ${min}${s.error ? ` (${s.error})` : ''}`;
+  }
+  if (health.minRatioOfPrevious && before > 0 && s.kept < before * health.minRatioOfPrevious) {
+    return `${s.label}: kept ${s.kept} events, down from ${before} in the last build that passed`;
+  }
+  return null;
+}
+
+// Problems that should fail the build, per the `health` config:
+// a source below its `minEvents`, or below `minRatioOfPrevious` of its baseline
+function checkThresholds(report, previous, health) {
+  const before = previousCounts(previous);
+  return report.sources.map(s => sourceFailure(s, before[s.name], health)).filter(Boolean);
+}
+
+// The baseline to save with this report: counts of sources that passed, and the
+// old count for any that failed or were served stale, so a broken build never
+// lowers the bar for the next
+function nextBaseline(report, previous, health) {
+  const before = previousCounts(previous);
+  const baseline = { ...before };
+  report.sources.forEach(s => {
+    if (s.status !== 'failed' && s.status !== 'stale' && !sourceFailure(s, before[s.name], health)) baseline[s.name] = s.kept;
+  });
+  return baseline;
+}
+
+module.exports = {
+  checkThresholds,
+  loadReport,
+  nextBaseline,
+  runSource,
+  writeReport
+};
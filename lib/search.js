@@ -0,0 +1,58 @@
+const fs = require('fs');
+
+// Full-text search for the site. build() writes search-index.json next to
+// index.html: an inverted index from each word of an event's title, venue,
+// city, lineup and details to the events that contain it. The page loads it
+// on first search and matches query words as prefixes ("bott hill").
+
+// Words too common to be worth indexing or searching for (the page ignores
+// them in queries too, so "who's playing at the Chapel" finds the Chapel)
+const SEARCH_STOPWORDS = [
+  'a', 'an', 'and', 'are', 'at', 'by', 'for', 'from', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'w', 'with',
+  'who', 'whos', 'what', 'whats', 'where', 'when', 'playing', 'plays', 'play', 'show', 'shows', 'gig', 'gigs'
+];
+const STOPWORDS = new Set(SEARCH_STOPWORDS);
+
+// Lowercase words without accents, punctuation, stopwords or stray letters
+function searchTokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && !STOPWORDS.has(t) && (t.length > 1 || /\d/.test(t)));
+}
+
+function searchableText(event) {
+  const location = event.location || {};
+  return [
+    event.title, event.venue, event.city, location.neighborhood,
+    ...(event.bands || []), event.details, event.description, event.organizer
+  ].filter(Boolean).join(' ');
+}
+
+// { version, ids, terms } where terms maps each word to the positions in `ids`
+// of the events containing it, in ascending order
+function buildSearchIndex(events) {
+  const terms = {};
+  events.forEach((event, position) => {
+    new Set(searchTokens(searchableText(event))).forEach(token => {
+      if (!terms[token]) terms[token] = [];
+      terms[token].push(position);
+    });
+  });
+  const sorted = {};
+  Object.keys(terms).sort().forEach(token => { sorted[token] = terms[token]; });
+  return { version: 1, ids: events.map(e => e.id), terms: sorted };
+}
+
+function writeSearchIndex(events, file = 'search-index.json') {
+  fs.writeFileSync(file, JSON.stringify(buildSearchIndex(events)), 'utf8');
+}
+
+module.exports = {
+  SEARCH_STOPWORDS,
+  buildSearchIndex,
+  searchTokens,
+  writeSearchIndex
+};
@@ -0,0 +1,191 @@
+// Structured event times. Sources give us free text ("7:30pm", "9:00 PM",
+// "6pm/7pm til 9pm" = Foopee doors/show til end, "9pm-2am") or UTC instants;
+// both become the same fields on the event:
+//   doors, start, end    local "HH:MM" (24h), null when unknown
+//   startsAt, endsAt     ISO 8601 with the Pacific offset, e.g. 2026-02-14T21:00:00-08:00
+//   time                 display string generated from the above ("6pm/7pm til 9pm")
+// Times are local to the metro being built: Pacific unless a city profile says otherwise.
+
+const TIMEZONE = 'America/Los_Angeles';
+
+const TIME_TOKEN = /(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/i;
+
+function parseTokens(text) {
+  return text.split('/').map(part => {
+    const match = part.trim().match(TIME_TOKEN);
+    if (!match) return null;
+    return {
+      hours: parseInt(match[1], 10),
+      minutes: parseInt(match[2] || '0', 10),
+      meridiem: match[3] ? match[3].toLowerCase().replace(/\./g, '') : null
+    };
+  }).filter(Boolean);
+}
+
+function toMinutes(token, fallbackMeridiem) {
+  const meridiem = token.meridiem || fallbackMeridiem;
+  // No am/pm anywhere: assume an evening show ("7:30" -> 7:30pm)
+  let hours = token.hours % 12;
+  if (meridiem !== 'am') hours += 12;
+  return hours * 60 + token.minutes;
+}
+
+// An end time without am/pm is the first time that clock reads after the start:
+// "8pm-12" ends at midnight, "10am-2" at 2pm, "9pm-2" at 2am
+function endToMinutes(token, start) {
+  if (token.meridiem) return toMinutes(token, null);
+  const later = candidate => ((candidate - start) % 1440 + 1440) % 1440 || 1440;
+  const am = toMinutes(token, 'am');
+  const pm = toMinutes(token, 'pm');
+  return later(am) <= later(pm) ? am : pm;
+}
+
+// Parse a time string into minutes after midnight: { doors, start, end }.
+// Any part that isn't in the string is null; returns null if no time is found.
+function parseTimeRange(timeStr) {
+  if (!timeStr) return null;
+  const [startPart, endPart] = String(timeStr).split(/\s*(?:\btil+\b|\buntil\b|\bto\b|-|–)\s*/i);
+
+  const startTokens = parseTokens(startPart || '');
+  if (startTokens.length === 0) return null;
+  const endTokens = endPart ? parseTokens(endPart) : [];
+
+  // "6/7pm" shares the meridiem of the last token
+  const lastMeridiem = [...startTokens].reverse().find(t => t.meridiem);
+  const fallback = lastMeridiem ? lastMeridiem.meridiem : null;
+
+  const doors = startTokens.length > 1 ? toMinutes(startTokens[0], fallback) : null;
+  const start = toMinutes(startTokens[startTokens.length - 1], fallback);
+  const end = endTokens.length > 0 ? endToMinutes(endTokens[0], start) : null;
+
+  return { doors, start, end };
+}
+
+// "2026-02-14" + N days, without going through the host timezone
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().slice(0, 10);
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Minutes after midnight -> "HH:MM" (wraps past midnight)
+function minutesToClock(minutes) {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${pad(Math.floor(m / 60))}:${pad(m % 60)}`;
+}
+
+// "HH:MM" -> minutes after midnight
+function clockToMinutes(clock) {
+  if (!clock) return null;
+  const [h, m] = clock.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Minutes after midnight -> "7pm" / "7:30pm"
+function formatClock12(minutes) {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  const hours = Math.floor(m / 60);
+  const suffix = hours >= 12 ? 'pm' : 'am';
+  const display = hours % 12 || 12;
+  return m % 60 ? `${display}:${pad(m % 60)}${suffix}` : `${display}${suffix}`;
+}
+
+// UTC offset of `timeZone` at an instant, in minutes ("GMT-08:00" -> -480)
+function offsetMinutesAt(instant, timeZone) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(instant).find(p => p.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):?(\d{2})?/);
+  if (!match) return 0;
+  const sign = match[1] === '-' ? -1 : 1;
+  return sign * (parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10));
+}
+
+// UTC offset ("-08:00" / "-07:00") in effect at a local date and time
+function zoneOffset(dateStr, minutes, timeZone = TIMEZONE) {
+  const [y, mo, d] = dateStr.split('-').map(Number);
+  // Read the wall clock as UTC, then correct by the offset found there; the second
+  // probe lands on the right side of a DST switch
+  const wallClock = Date.UTC(y, mo - 1, d, 0, minutes);
+  const first = offsetMinutesAt(new Date(wallClock), timeZone);
+  const offset = offsetMinutesAt(new Date(wallClock - first * 60000), timeZone);
+  const abs = Math.abs(offset);
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Local date + minutes after its midnight (may spill into later days) -> ISO with offset
+function toZonedISO(dateStr, minutes, timeZone = TIMEZONE) {
+  const day = addDays(dateStr, Math.floor(minutes / 1440));
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${day}T${minutesToClock(m)}:00${zoneOffset(day, m, timeZone)}`;
+}
+
+// UTC instant -> { date: "YYYY-MM-DD", minutes } on the local clock
+function fromInstant(instant, timeZone = TIMEZONE) {
+  const d = new Date(instant);
+  if (isNaN(d.getTime())) return null;
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(d);
+  const get = (type) => (parts.find(p => p.type === type) || {}).value || '';
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+}
+
+// Display string for a { doors, start, end } range in minutes
+function formatTimeRange(range) {
+  if (!range || range.start === null) return null;
+  let text = range.doors !== null && range.doors !== range.start
+    ? `${formatClock12(range.doors)}/${formatClock12(range.start)}`
+    : formatClock12(range.start);
+  if (range.end !== null) text += ` til ${formatClock12(range.end)}`;
+  return text;
+}
+
+// All structured time fields for an event on `date`, from a { doors, start, end }
+// range in minutes (as returned by parseTimeRange), local to `timeZone`. An end at
+// or before the start is taken to be after midnight.
+function timeFields(date, range, timeZone = TIMEZONE) {
+  if (!range || range.start === null) {
+    return { time: null, doors: null, start: null, end: null, startsAt: null, endsAt: null };
+  }
+  let end = range.end;
+  if (end !== null && end <= range.start) end += 1440;
+  return {
+    time: formatTimeRange(range),
+    doors: range.doors !== null ? minutesToClock(range.doors) : null,
+    start: minutesToClock(range.start),
+    end: end !== null ? minutesToClock(end) : null,
+    startsAt: toZonedISO(date, range.start, timeZone),
+    endsAt: end !== null ? toZonedISO(date, end, timeZone) : null
+  };
+}
+
+// Time fields from UTC start/end instants (posh.vip, Partiful). Returns the local
+// date too, since an evening show in Pacific is often the next day in UTC.
+// Ends more than a day after the start are treated as unknown.
+function timeFieldsFromInstants(startInstant, endInstant, timeZone = TIMEZONE) {
+  const start = fromInstant(startInstant, timeZone);
+  if (!start) return null;
+  let end = null;
+  if (endInstant) {
+    const hours = (new Date(endInstant) - new Date(startInstant)) / 3600000;
+    const local = fromInstant(endInstant, timeZone);
+    if (local && hours > 0 && hours <= 24) end = local.minutes;
+  }
+  return { date: start.date, ...timeFields(start.date, { doors: null, start: start.minutes, end }, timeZone) };
+}
+
+module.exports = {
+  TIMEZONE,
+  addDays,
+  clockToMinutes,
+  parseTimeRange,
+  timeFields,
+  timeFieldsFromInstants
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { fetchText } = require('./http');
+
+// Fetch HTML from a URL, through the HTTP cache (lib/http.js); null on failure.
+// `options.ttlMinutes` is how long a cached copy stays fresh for this source.
+async function fetchHTML(url, options = {}) {
+  return fetchText(url, options);
+}
+
+// Fetch and parse a JSON API response the same way; null on failure
+async function fetchJSON(url, options = {}) {
+  const text = await fetchText(url, options);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.error(`Error parsing ${url}:`, error.message);
+    return null;
+  }
+}
+
+// Helper function to parse date strings
+function parseDateString(dateStr) {
+  // Parse MM/DD/YYYY format
+  if (dateStr.includes('/')) {
+    const parts = dateStr.split('/');
+    if (parts.length === 3) {
+      const [month, day, year] = parts;
+      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+  }
+  
+  // Try to parse "Monday, Jan 20" or "Mon Jan 20" format
+  const dateObj = new Date(dateStr);
+  if (!isNaN(dateObj.getTime())) {
+    const year = dateObj.getFullYear();
+    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const day = String(dateObj.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+  
+  return null;
+}
+
+// Current date in Pacific (America/Los_Angeles) for consistent filtering on Vercel (UTC) and local builds.
+// Metros in other zones pass their own `timeZone`.
+function getTodayPacificDateString(timeZone = 'America/Los_Angeles') {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+  const parts = formatter.formatToParts(new Date());
+  const year = parts.find(p => p.type === 'year').value;
+  const month = parts.find(p => p.type === 'month').value;
+  const day = parts.find(p => p.type === 'day').value;
+  return `${year}-${month}-${day}`;
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun',
+                     'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "Jan", "January", "sept" -> 0-based month index, or -1
+function monthIndexFromName(name) {
+  const lower = (name || '').toLowerCase();
+  return MONTH_NAMES.findIndex(m => lower.startsWith(m));
+}
+
+function formatYMD(year, monthIndex, day) {
+  return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Whole days from one YYYY-MM-DD to another
+function daysBetween(fromStr, toStr) {
+  const toUtc = (s) => Date.UTC(Number(s.slice(0, 4)), Number(s.slice(5, 7)) - 1, Number(s.slice(8, 10)));
+  return Math.round((toUtc(toStr) - toUtc(fromStr)) / 86400000);
+}
+
+// Year for a month/day written without one: whichever of last, this or next year
+// puts it closest to `todayStr` (so "Jan 3" seen on Dec 28 is next January)
+function inferYear(monthIndex, day, todayStr = getTodayPacificDateString()) {
+  const year = Number(todayStr.slice(0, 4));
+  let best = year;
+  let bestDistance = Infinity;
+  [year - 1, year, year + 1].forEach(candidate => {
+    const distance = Math.abs(daysBetween(todayStr, formatYMD(candidate, monthIndex, day)));
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// Tally an event a parser skipped, by reason; the totals go into build-report.json
+function countDrop(drops, reason) {
+  drops[reason] = (drops[reason] || 0) + 1;
+}
+
+// Deterministic ID for events whose source has no ID of its own:
+// "<source>-<hash of date, venue, title and start time>", stable across builds.
+// The start ("HH:MM") tells early and late shows apart; events without one
+// hash as they did before it was part of the key.
+function hashEventId(source, date, venue, title, start = null) {
+  const key = [date, venue, title, ...(start ? [start] : [])].map(s => String(s || '').trim().toLowerCase()).join('|');
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+  return `${source.replace(/[^a-z0-9]/gi, '')}-${hash}`;
+}
+
+// Give events that still share an ID "-2", "-3"... suffixes in list order, so
+// each keeps its own page and calendar file
+function uniqueEventIds(events) {
+  const taken = new Set();
+  return events.map(event => {
+    let id = event.id;
+    for (let n = 2; taken.has(id); n++) id = `${event.id}-${n}`;
+    taken.add(id);
+    if (id === event.id) return event;
+    // The original ID belongs to the first event; don't let history mistake this one for it
+    return { ...event, id, sourceIds: (event.sourceIds || []).filter(other => other !== event.id).concat(id) };
+  });
+}
+
+module.exports = {
+  countDrop,
+  daysBetween,
+  fetchHTML,
+  fetchJSON,
+  formatYMD,
+  hashEventId,
+  inferYear,
+  monthIndexFromName,
+  parseDateString,
+  uniqueEventIds,
+  getTodayPacificDateString
+};
@@ -0,0 +1,104 @@
+const { normalizeVenue } = require('./dedupe');
+const { normalizeCity } = require('./cities');
+const { countDrop } = require('./util');
+
+// The venue registry (data/venues.json): canonical name, street address,
+// neighborhood, coordinates and capacity for the rooms sources list. Every
+// event's venue string is looked up here; misses are tallied so the build log
+// says which venues to add next.
+const VENUES = require('../data/venues.json');
+
+// Listings that don't name a room yet aren't worth reporting as misses
+const PLACEHOLDER = /^(?:tba|tbd|tba\/tbd|secret location|undisclosed|private|location tba|address tba)?$/i;
+
+// Street address reduced for comparison ("1658 12th Street, Oakland" -> "165812thst")
+function addressKey(address) {
+  return String(address || '')
+    .split(',')[0]
+    .toLowerCase()
+    .replace(/\bstreet\b/g, 'st')
+    .replace(/\bavenue\b/g, 'ave')
+    .replace(/\bboulevard\b/g, 'blvd')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+const BY_NAME = new Map();
+const BY_ADDRESS = new Map();
+VENUES.forEach(venue => {
+  [venue.name, ...venue.aliases].forEach(alias => {
+    const key = normalizeVenue(alias);
+    if (!BY_NAME.has(key)) BY_NAME.set(key, []);
+    if (!BY_NAME.get(key).includes(venue)) BY_NAME.get(key).push(venue);
+  });
+  BY_ADDRESS.set(addressKey(venue.address), venue);
+});
+
+// A location as the source gave it, for venues the registry doesn't know
+function sourceLocation(address, lat = null, long = null) {
+  if (!address && lat === null) return null;
+  return { address: address || null, neighborhood: null, lat, long, capacity: null };
+}
+
+// Registry entry for a venue name, or null. A name listed in several cities
+// ("The Chapel") only matches in the event's city; with no city we take the
+// match only if it's unambiguous. Falls back to the source's street address.
+function resolveVenue(name, city, address) {
+  const candidates = BY_NAME.get(normalizeVenue(name)) || [];
+  const sameCity = city ? candidates.filter(v => v.city === normalizeCity(city).city) : candidates;
+  if (sameCity.length === 1) return sameCity[0];
+
+  const byAddress = BY_ADDRESS.get(addressKey(address));
+  if (byAddress && (!city || byAddress.city === normalizeCity(city).city)) return byAddress;
+  return null;
+}
+
+// Give each event its registry venue: the canonical name and `location`
+// { address, neighborhood, lat, long, capacity }. Events without a city take
+// the venue's. Misses keep whatever location the source gave and are counted
+// in `unmatched` as "Venue (City)".
+function resolveVenues(events, unmatched = {}) {
+  return events.map(event => {
+    const venue = resolveVenue(event.venue, event.city, event.location && event.location.address);
+    if (!venue) {
+      if (!PLACEHOLDER.test((event.venue || '').trim())) {
+        countDrop(unmatched, event.city ? `${event.venue} (${event.city})` : event.venue);
+      }
+      return { ...event, location: event.location || null };
+    }
+    const resolved = {
+      ...event,
+      venue: venue.name,
+      location: {
+        address: `${venue.address}, ${venue.city}`,
+        neighborhood: venue.neighborhood,
+        lat: venue.lat,
+        long: venue.long,
+        capacity: venue.capacity
+      }
+    };
+    if (!event.city) Object.assign(resolved, normalizeCity(venue.city));
+    return resolved;
+  });
+}
+
+// Google Maps link for an event's venue, by address when we have one
+function mapsUrl(event) {
+  const location = event.location;
+  let query = null;
+  if (location && location.address) {
+    query = `${event.venue ? `${event.venue}, ` : ''}${location.address}`;
+  } else if (location && location.lat !== null && location.long !== null) {
+    query = `${location.lat},${location.long}`;
+  } else if (event.venue) {
+    query = [event.venue, event.city].filter(Boolean).join(', ');
+  }
+  return query ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}` : null;
+}
+
+module.exports = {
+  VENUES,
+  mapsUrl,
+  resolveVenue,
+  resolveVenues,
+  sourceLocation
+};
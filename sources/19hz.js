@@ -0,0 +1,94 @@
+const cheerio = require('cheerio');
+const { fetchHTML, parseDateString, hashEventId, countDrop } = require('../lib/util');
+const { parseTimeRange, timeFields } = require('../lib/time');
+const { parseAgeRestriction } = require('../lib/age');
+const { parsePrice } = require('../lib/price');
+const { normalizeCity } = require('../lib/cities');
+
+const LISTING_URL = 'https://19hz.info/eventlisting_BayArea.php';
+
+// Parse 19hz.info events
+// `drops` collects counts of skipped rows by reason; `options.timezone` is the metro's
+function parse19hz(html, todayStr, drops = {}, options = {}) {
+  const $ = cheerio.load(html);
+  const events = [];
+  
+  // Find the table with events
+  $('table').each((i, table) => {
+    $(table).find('tbody tr').each((j, row) => {
+      const cells = $(row).find('td');
+      if (cells.length < 6) return; // Skip header rows or incomplete rows
+      
+      const dateTime = $(cells[0]).text().trim();
+      const eventTitleVenue = $(cells[1]).text().trim();
+      const tags = $(cells[2]).text().trim();
+      const priceAge = $(cells[3]).text().trim();
+      const organizers = $(cells[4]).text().trim();
+      // The title links to the listing (RA, tickets); else the first of the Links column
+      const link = $(cells[1]).find('a').attr('href') || $(cells[5]).find('a').attr('href') || null;
+      
+      // Parse date, then read the time (or range, e.g. "9pm-2am") from what follows it
+      let date = null;
+      let timeRange = null;
+      
+      const dateMatch = dateTime.match(/(\d{1,2}\/\d{1,2}\/\d{4}|\w+day,?\s+\w+\s+\d{1,2})/i);
+      if (dateMatch) {
+        date = parseDateString(dateMatch[1]);
+        const timeText = dateTime.substring(dateMatch.index + dateMatch[0].length);
+        if (/\d\s*(?:am|pm)|\d:\d{2}/i.test(timeText)) {
+          timeRange = parseTimeRange(timeText);
+        }
+      }
+      
+      // Extract venue from eventTitleVenue (format: "Event Title @ Venue (City)")
+      // Example: "Sound Box - Tash, Snkr @ Make-Out Room (San Francisco)"
+      const venueMatch = eventTitleVenue.match(/@\s*(.+)$/);
+      let venue = venueMatch ? venueMatch[1].trim() : '';
+      const title = venueMatch ? eventTitleVenue.substring(0, venueMatch.index).trim() : eventTitleVenue;
+      
+      // Extract city from parentheses at the end of venue
+      let cityText = null;
+      const cityMatch = venue.match(/\s*\(([^)]+)\)\s*$/);
+      if (cityMatch) {
+        cityText = cityMatch[1].trim();
+        // Remove the city from the venue name
+        venue = venue.substring(0, cityMatch.index).trim();
+      }
+      const { city, region } = normalizeCity(cityText);
+      
+      if (date) {
+        const times = timeFields(date, timeRange, options.timezone);
+        events.push({
+          id: hashEventId('19hz', date, venue, title, times.start),
+          date,
+          ...times,
+          source: '19hz',
+          title,
+          venue,
+          city,
+          region,
+          details: `${priceAge}${tags ? ' | ' + tags : ''}`,
+          tags: tags ? tags.split(/\s*[,/]\s*/).filter(Boolean) : [],
+          age: parseAgeRestriction(priceAge),
+          price: parsePrice(priceAge),
+          bands: [],
+          link
+        });
+      } else {
+        countDrop(drops, 'no-date');
+      }
+    });
+  });
+  
+  return events;
+}
+
+module.exports = {
+  name: '19hz',
+  label: '19hz.info',
+  defaultGenres: ['electronic'],
+  // Each metro has its own listing page (eventlisting_LosAngeles.php, ...)
+  fetch: (options = {}) => fetchHTML(options.url || LISTING_URL, options),
+  parse: parse19hz,
+  parse19hz
+};
@@ -0,0 +1,189 @@
+const cheerio = require('cheerio');
+const { fetchHTML, hashEventId, countDrop, daysBetween, formatYMD, inferYear, monthIndexFromName, getTodayPacificDateString } = require('../lib/util');
+const { parseTimeRange, timeFields } = require('../lib/time');
+const { parseAgeRestriction } = require('../lib/age');
+const { parsePrice } = require('../lib/price');
+const { normalizeCity } = require('../lib/cities');
+
+// Foopee publishes one by-date page per week; we read the next 8 weeks
+const WEEKS = 8;
+
+// Foopee dates have no year. Read the week's range from the heading ("Dec 29 - Jan 4")
+// with the year closest to today, rolling the end into the next year when it wraps.
+function parseWeekRange(heading, todayStr) {
+  const headingMatch = heading.match(/(\w+)\s+(\d{1,2})\s*-\s*(\w+)\s+(\d{1,2})/);
+  if (!headingMatch) return null;
+  const [, startMonth, startDay, endMonth, endDay] = headingMatch;
+  const startMonthIndex = monthIndexFromName(startMonth);
+  const endMonthIndex = monthIndexFromName(endMonth);
+  if (startMonthIndex === -1 || endMonthIndex === -1) return null;
+
+  const startYear = inferYear(startMonthIndex, parseInt(startDay), todayStr);
+  const endYear = endMonthIndex < startMonthIndex ? startYear + 1 : startYear;
+  return {
+    start: formatYMD(startYear, startMonthIndex, parseInt(startDay)),
+    end: formatYMD(endYear, endMonthIndex, parseInt(endDay))
+  };
+}
+
+// Full date for a "Mon Dec 29" header: the year that lands inside the week's range,
+// or the one closest to today if the page has no usable heading
+function resolveHeaderDate(monthIndex, day, weekRange, todayStr) {
+  if (weekRange) {
+    const rangeYear = Number(weekRange.start.slice(0, 4));
+    for (const year of [rangeYear, rangeYear + 1]) {
+      const candidate = formatYMD(year, monthIndex, day);
+      if (daysBetween(weekRange.start, candidate) >= -1 && daysBetween(candidate, weekRange.end) >= -1) {
+        return candidate;
+      }
+    }
+  }
+  return formatYMD(inferYear(monthIndex, day, todayStr), monthIndex, day);
+}
+
+// Parse Foopee events from a single page. `todayStr` (YYYY-MM-DD) anchors year inference;
+// `drops` collects counts of skipped shows by reason.
+function parseFoopeePage(html, todayStr = getTodayPacificDateString(), drops = {}) {
+  const $ = cheerio.load(html);
+  const events = [];
+  let currentDate = null;
+
+  console.log('  Parsing Foopee page...');
+
+  
+  // Get the date range from the h2 heading (e.g., "Jan 19 - Jan 25")
+  const weekRange = parseWeekRange($('h2').first().text(), todayStr);
+  
+  // Find the main list structure - iterate through top-level list items
+  // Find the main list structure - iterate through top-level list items
+$('body > ul > li, body > ol > li').each((i, item) => {
+  const $item = $(item);
+  const text = $item.text().trim();
+  
+  // Check if this is a date header
+  const dateMatch = text.match(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+(\w+)\s+(\d{1,2})/i);
+  if (dateMatch) {
+    const [, dayName, monthName, day] = dateMatch;
+    console.log(`    Found date header: ${dayName} ${monthName} ${day}`);
+    const monthIndex = monthIndexFromName(monthName);
+    
+    if (monthIndex !== -1) {
+      currentDate = resolveHeaderDate(monthIndex, parseInt(day), weekRange, todayStr);
+    }
+    console.log(`    Set currentDate to: ${currentDate}`);
+    
+    // Now process the nested events for this date
+    $item.find('ul > li').each((j, eventItem) => {
+      const $eventItem = $(eventItem);
+
+
+      // Check if this item contains event data (has links)
+      const links = $eventItem.find('a');
+      if (links.length === 0) return;
+
+      // Items read as one continuous string, venue link first:
+      // "Black Cat, S.F. Jezebel: Rewritten 21+ $30 6pm/7pm til 9pm"
+      // Extract venue and city from first link (format: "Black Cat, S.F." or "Venue Name, City")
+      const venueFull = $(links[0]).text().trim();
+      let venue = venueFull;
+      let cityText = null;
+      
+      // Split on comma to separate venue and city
+      const commaIndex = venueFull.lastIndexOf(',');
+      if (commaIndex !== -1) {
+        venue = venueFull.substring(0, commaIndex).trim();
+        cityText = venueFull.substring(commaIndex + 1).trim();
+      }
+      const { city, region } = normalizeCity(cityText);
+      
+      // Extract bands (subsequent links)
+      const bands = [];
+      links.slice(1).each((j, link) => {
+        const band = $(link).text().trim();
+        if (band) bands.push(band);
+      });
+      
+      // Extract the remaining text after all links (price, age, time)
+      // Clone the item and remove all links to get just the text parts
+      const $clone = $eventItem.clone();
+      $clone.find('a').remove();
+      let details = $clone.text().trim();
+      // Clean up commas and whitespace
+      details = details.replace(/^[\s,]+/, '').replace(/[\s,]+$/, '').trim();
+      
+      // Extract time from details - handle formats like:
+      // "6pm/7pm til 9pm", "7pm/8pm", "7:30pm", "7pm", "6pm/7pm"
+      let time = null;
+      // Try to match time patterns (including ranges like "6pm/7pm til 9pm")
+      const timeMatch = details.match(/(\d{1,2}(?::\d{2})?\s*(?:am|pm|AM|PM)(?:\/\d{1,2}(?::\d{2})?\s*(?:am|pm|AM|PM))?(?:\s+til\s+\d{1,2}(?::\d{2})?\s*(?:am|pm|AM|PM))?)/i);
+      if (timeMatch) {
+        time = timeMatch[0].trim();
+      } else {
+        // Fallback: try simpler time pattern
+        const simpleTimeMatch = details.match(/(\d{1,2}:\d{2}\s*(?:am|pm|AM|PM)?)/i);
+        if (simpleTimeMatch) {
+          time = simpleTimeMatch[1].trim();
+        }
+      }
+      
+      // Use currentDate if available, otherwise try to infer from structure
+      let date = currentDate;
+      if (!date && weekRange) {
+        // Fallback: use week start date if we can't find a specific date
+        date = weekRange.start;
+      }
+
+      
+      if (date && venue) {
+        console.log(`    Adding event on ${date}: ${venue}`);
+        const title = bands.length > 0 ? bands[0] : venue;
+        const times = timeFields(date, parseTimeRange(time));
+        events.push({
+          id: hashEventId('foopee', date, venue, title, times.start),
+          date,
+          ...times,
+          source: 'foopee',
+          title,
+          venue,
+          city,
+          region,
+          details,
+          age: parseAgeRestriction(details),
+          price: parsePrice(details),
+          bands,
+          link: null
+        });
+      } else {
+        countDrop(drops, 'no-date');
+      }
+    });  
+  }
+  });
+  return events;
+}
+
+// Fetch every weekly page at once (lib/http.js spaces the requests to the
+// host); weeks that fail to load are left out
+async function fetchFoopee(options = {}) {
+  const weeks = Array.from({ length: WEEKS }, (_, week) => week);
+  const pages = await Promise.all(weeks.map(week => {
+    console.log(`  Fetching week ${week}...`);
+    return fetchHTML(`http://www.foopee.com/punk/the-list/by-date.${week}.html`, options);
+  }));
+  return pages.filter(Boolean);
+}
+
+function parseFoopee(pages, todayStr = getTodayPacificDateString(), drops = {}) {
+  const events = [];
+  pages.forEach(html => events.push(...parseFoopeePage(html, todayStr, drops)));
+  return events;
+}
+
+module.exports = {
+  name: 'foopee',
+  label: 'Foopee',
+  defaultGenres: ['punk', 'rock'],
+  fetch: fetchFoopee,
+  parse: parseFoopee,
+  parseFoopeePage
+};
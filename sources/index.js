@@ -0,0 +1,39 @@
+const path = require('path');
+
+// Known sources, keyed by the name they stamp on event.source
+const SOURCES = {
+  '19hz': require('./19hz'),
+  'foopee': require('./foopee'),
+  'posh.vip': require('./posh'),
+  'partiful': require('./partiful')
+};
+
+function getSource(name) {
+  return SOURCES[name] || null;
+}
+
+// Resolve the configured source list into source modules, in config order.
+// Entries are { name, enabled, module }; `module` (relative to the project root)
+// loads a local source that isn't built in.
+function loadSources(sourceConfig) {
+  const sources = [];
+  for (const entry of sourceConfig) {
+    if (entry.enabled === false) continue;
+    let source = getSource(entry.name);
+    if (entry.module) {
+      source = require(path.resolve(__dirname, '..', entry.module));
+      SOURCES[source.name] = source;
+    }
+    if (!source) {
+      console.log(`  ⚠️  Unknown source "${entry.name}", skipping.`);
+      continue;
+    }
+    sources.push(source);
+  }
+  return sources;
+}
+
+module.exports = {
+  getSource,
+  loadSources
+};
@@ -0,0 +1,148 @@
+const cheerio = require('cheerio');
+const { fetchHTML, countDrop, getTodayPacificDateString } = require('../lib/util');
+const { timeFieldsFromInstants } = require('../lib/time');
+const { parseAgeRestriction } = require('../lib/age');
+const { parsePrice } = require('../lib/price');
+const { normalizeCity } = require('../lib/cities');
+const { sourceLocation } = require('../lib/venues');
+
+// Electronic music keywords for Partiful category detection
+const ELECTRONIC_KEYWORDS = [
+  'electronic', 'dj', 'techno', 'house', 'edm', 'rave', 'drum and bass',
+  'dubstep', 'trance', 'drum & bass', 'd&b', 'dnb', 'breakbeat', 'ambient',
+  'idm', 'electro', 'disco house', 'deep house', 'tech house', 'minimal'
+];
+
+function detectPartifulCategory(title, details) {
+  const text = `${title || ''} ${details || ''}`.toLowerCase();
+  return ELECTRONIC_KEYWORDS.some(kw => text.includes(kw)) ? 'electronic' : 'live';
+}
+
+// Venue coordinates from mapsInfo; { lat: null, long: null } when it has none
+// (private addresses aren't placed on a map). Not yet confirmed against a live
+// capture (npm run capture-fixtures): if test/golden/captured-partiful.json has
+// no coordinates for public venues, Partiful doesn't send them, and the venue
+// registry places the ones it knows.
+function partifulCoordinates(mapsInfo) {
+  const lat = mapsInfo?.latitude;
+  const long = mapsInfo?.longitude;
+  if (!Number.isFinite(lat) || !Number.isFinite(long)) return { lat: null, long: null };
+  return { lat, long };
+}
+
+// Parse Partiful events from a discover page (discover/sf, discover/la, ...). Uses
+// __NEXT_DATA__ in the HTML so we never depend on a Next.js build ID (which changes
+// on every Partiful deploy).
+const PARTIFUL_DISCOVER_URL = 'https://partiful.com/discover/sf';
+
+async function fetchPartiful(options = {}) {
+  const html = await fetchHTML(options.url || PARTIFUL_DISCOVER_URL, options);
+  if (!html) {
+    console.log('  Partiful: Failed to fetch discover page, skipping.');
+  }
+  return html;
+}
+
+// Extract events from the discover page; `drops` collects counts of skipped events by reason
+function parsePartiful(html, todayStr = getTodayPacificDateString(), drops = {}, options = {}) {
+  try {
+    const $ = cheerio.load(html);
+    const nextDataScript = $('#__NEXT_DATA__').html();
+    if (!nextDataScript) {
+      console.log('  Partiful: No __NEXT_DATA__ in page, skipping.');
+      return [];
+    }
+    const data = JSON.parse(nextDataScript);
+    const pp = data?.props?.pageProps;
+    if (!pp) {
+      console.log('  Partiful: No pageProps in response, skipping.');
+      return [];
+    }
+
+    // Collect event objects from feedItems and from each section's items (dedupe by id)
+    const seenIds = new Set();
+    const rawEvents = [];
+    for (const item of pp.feedItems || []) {
+      if (item?.event && !seenIds.has(item.event.id)) {
+        seenIds.add(item.event.id);
+        rawEvents.push(item.event);
+      }
+    }
+    for (const section of pp.sections || []) {
+      for (const item of section.items || []) {
+        if (item?.event && !seenIds.has(item.event.id)) {
+          seenIds.add(item.event.id);
+          rawEvents.push(item.event);
+        }
+      }
+    }
+
+    if (rawEvents.length === 0) {
+      console.log('  Partiful: No events in response, skipping.');
+      return [];
+    }
+
+    const events = [];
+    for (const e of rawEvents) {
+      const title = e.title ?? '';
+      const venue = e.locationInfo?.mapsInfo?.name ?? '';
+      const addressLines = e.locationInfo?.mapsInfo?.addressLines || e.locationInfo?.displayAddressLines || [];
+      const { city, region } = normalizeCity(e.locationInfo?.mapsInfo?.approximateLocation || addressLines[addressLines.length - 1]);
+      const { lat, long } = partifulCoordinates(e.locationInfo?.mapsInfo);
+      const fullText = `${title} ${venue} ${e.description || ''}`;
+
+      if (!e.startDate) {
+        countDrop(drops, 'no-date');
+        continue;
+      }
+      // Partiful stores UTC; read date and time in the event timezone, else the metro's
+      const times = timeFieldsFromInstants(e.startDate, e.endDate, e.timezone || options.timezone);
+      if (!times) {
+        countDrop(drops, 'no-date');
+        continue;
+      }
+      const { date, ...timeFields } = times;
+      if (date < todayStr) {
+        countDrop(drops, 'past');
+        continue;
+      }
+
+      const details = (e.description || '').slice(0, 200);
+      const link = `https://partiful.com/e/${e.id}`;
+      const category = detectPartifulCategory(title, details);
+
+      events.push({
+        id: `partiful-${e.id}`,
+        date,
+        ...timeFields,
+        source: 'partiful',
+        title: title || 'Event',
+        venue,
+        city,
+        region,
+        location: sourceLocation(addressLines.join(', '), lat, long),
+        details,
+        description: e.description || null,
+        age: parseAgeRestriction(fullText),
+        price: parsePrice(fullText, { prose: true }),
+        bands: [],
+        link,
+        category
+      });
+    }
+
+    return events;
+  } catch (error) {
+    console.log('  Partiful scraping skipped:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  name: 'partiful',
+  label: 'Partiful',
+  defaultGenres: [],
+  fetch: fetchPartiful,
+  parse: parsePartiful,
+  detectPartifulCategory
+};
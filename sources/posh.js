@@ -0,0 +1,147 @@
+const { countDrop, fetchJSON, getTodayPacificDateString } = require('../lib/util');
+const { timeFieldsFromInstants } = require('../lib/time');
+const { parseAgeRestriction } = require('../lib/age');
+const { priceFromTickets } = require('../lib/price');
+const { cityFromAddress, normalizeCity } = require('../lib/cities');
+const { sourceLocation } = require('../lib/venues');
+
+const API_URL = 'https://posh.vip/api/web/v2/trpc/events.fetchMarketplaceEvents';
+const TIME_RANGES = ['This Week', 'Next Week', 'This Month'];
+const PAGE_SIZE = 100;
+// Pages per query when the metro profile doesn't set `maxPages`
+const DEFAULT_MAX_PAGES = 10;
+// Search center when the metro profile doesn't give one
+const DEFAULT_LOCATION = 'San Francisco, CA, USA';
+const DEFAULT_COORDINATES = { lat: 37.7749295, long: -122.4194155 };
+
+// Marketplace query around the metro's `location` and `coordinates`
+function searchParams(options, when) {
+  const where = options.location || DEFAULT_LOCATION;
+  const { lat, long } = options.coordinates || DEFAULT_COORDINATES;
+  return {
+    sort: "Trending",
+    when,
+    search: "",
+    location: {
+      type: "custom",
+      location: where,
+      lat,
+      long
+    },
+    secondaryFilters: [],
+    where,
+    coordinates: [long, lat],
+    limit: PAGE_SIZE,
+    clientTimezone: options.timezone || "America/Los_Angeles"
+  };
+}
+
+// Every page of one query, following `nextCursor` until it runs out or we've
+// read `options.maxPages` pages
+async function fetchPages(params, label, options) {
+  const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+  const apiUrl = options.apiUrl || API_URL;
+  const events = [];
+  let cursor = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const input = cursor === null ? params : { ...params, cursor };
+    const data = await fetchJSON(`${apiUrl}?input=${encodeURIComponent(JSON.stringify(input))}`, options);
+    if (!data) {
+      console.log(`  ⚠️  Failed to fetch ${label} (page ${page + 1})`);
+      break;
+    }
+    const pageEvents = data?.result?.data?.events || [];
+    events.push(...pageEvents);
+    cursor = data?.result?.data?.nextCursor ?? null;
+    if (cursor === null || pageEvents.length === 0) break;
+    if (page === maxPages - 1) {
+      console.log(`  ⚠️  ${label}: stopped after ${maxPages} pages with more to fetch (raise maxPages)`);
+    }
+  }
+
+  console.log(`  Found ${events.length} events for ${label}`);
+  return events;
+}
+
+// Fetch posh.vip events via API (no Puppeteer needed!): every page of each
+// preset range (`ranges`, else This Week, Next Week and This Month). posh's
+// marketplace offers no documented query further ahead than This Month.
+async function fetchPoshVip(options = {}) {
+  const allEvents = [];
+  for (const when of options.ranges || TIME_RANGES) {
+    console.log(`  Fetching ${when}...`);
+    allEvents.push(...await fetchPages(searchParams(options, when), when, options));
+  }
+
+  const uniqueEvents = [];
+  const seen = new Set();
+  allEvents.forEach(event => {
+    if (!seen.has(event._id)) {
+      seen.add(event._id);
+      uniqueEvents.push(event);
+    }
+  });
+  return uniqueEvents;
+}
+
+// Normalize raw posh.vip API events into our event shape; `drops` collects
+// counts of skipped events by reason
+function parsePoshVip(rawEvents, todayStr = getTodayPacificDateString(), drops = {}, options = {}) {
+  const formattedEvents = [];
+
+  for (const event of rawEvents) {
+    if (!event.startUtc) {
+      countDrop(drops, 'no-date');
+      continue;
+    }
+
+    // Date and time on the event's own clock, not the build machine's
+    const times = timeFieldsFromInstants(event.startUtc, event.endUtc, event.timezone || options.timezone);
+    if (!times) {
+      countDrop(drops, 'no-date');
+      continue;
+    }
+    const { date, ...timeFields } = times;
+
+    if (date < todayStr) {
+      countDrop(drops, 'past');
+      continue;
+    }
+
+    // The search radius reaches past the metro's center city (SF -> East Bay)
+    const { city, region } = normalizeCity(cityFromAddress(event.venue?.address) || options.location || DEFAULT_LOCATION);
+    const fullText = `${event.name} ${event.venue?.name || ''} ${event.description || ''} ${event.shortDescription || ''}`;
+    const [long, lat] = event.location?.coordinates || [null, null];
+
+    formattedEvents.push({
+      id: `posh-${event._id}`,
+      date,
+      ...timeFields,
+      source: 'posh.vip',
+      title: event.name,
+      venue: event.venue?.name || '',
+      city,
+      region,
+      location: sourceLocation(event.venue?.address, lat, long),
+      details: '',
+      description: event.description || event.shortDescription || null,
+      image: event.flyer || null,
+      organizer: (event.groupName || '').trim() || null,
+      age: parseAgeRestriction(fullText),
+      price: priceFromTickets(event.tickets, event.soldOutItems),
+      bands: [],
+      link: `https://posh.vip/e/${event.url}`
+    });
+  }
+
+  return formattedEvents;
+}
+
+module.exports = {
+  name: 'posh.vip',
+  label: 'posh.vip',
+  defaultGenres: [],
+  fetch: fetchPoshVip,
+  parse: parsePoshVip
+};
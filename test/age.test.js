@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyAgePolicy, parseAgeRestriction, stricterAge } = require('../lib/age');
+
+test('parseAgeRestriction reads the common spellings', () => {
+  assert.strictEqual(parseAgeRestriction('$25 | 21+ | techno'), '21+');
+  assert.strictEqual(parseAgeRestriction('Must be 21 and over.'), '21+');
+  assert.strictEqual(parseAgeRestriction('$10-15 | 18+'), '18+');
+  assert.strictEqual(parseAgeRestriction('a/a $12 8pm'), 'all-ages');
+  assert.strictEqual(parseAgeRestriction('All Ages matinee'), 'all-ages');
+  assert.strictEqual(parseAgeRestriction('$15 adv'), 'unknown');
+});
+
+test('parseAgeRestriction ignores prices that look like ages', () => {
+  assert.strictEqual(parseAgeRestriction('$21 and up'), 'unknown');
+  assert.strictEqual(parseAgeRestriction('$18+ at the door'), 'unknown');
+});
+
+test('the strictest entry age wins; drinking ages don\'t count', () => {
+  assert.strictEqual(parseAgeRestriction('18+ show, 21+ after midnight'), '21+');
+  assert.strictEqual(parseAgeRestriction('18 & over, 21+ to drink'), '18+');
+  assert.strictEqual(parseAgeRestriction('All ages (21 to drink)'), 'all-ages');
+  assert.strictEqual(parseAgeRestriction('21 & over to drink'), 'unknown');
+  assert.strictEqual(stricterAge('all-ages', '21+'), '21+');
+  assert.strictEqual(stricterAge('unknown', '18+'), '18+');
+  assert.strictEqual(stricterAge(undefined, undefined), 'unknown');
+});
+
+test('applyAgePolicy drops and counts excluded ages', () => {
+  const events = [{ age: '21+' }, { age: 'all-ages' }, {}, { age: '18+' }];
+  const drops = {};
+  const kept = applyAgePolicy(events, ['all-ages', '18+', 'unknown'], drops);
+  assert.strictEqual(kept.length, 3);
+  assert.deepStrictEqual(drops, { 'age-21+': 1 });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildAtomFeed } = require('../lib/atom');
+
+const hoursAgo = h => new Date(Date.now() - h * 3600000).toISOString();
+
+function event(id, firstSeen, extra = {}) {
+  return { id, date: '2026-11-07', title: `Show ${id}`, venue: 'Bottom of the Hill', city: 'San Francisco', links: [], firstSeen, ...extra };
+}
+
+test('buildAtomFeed lists recent first sightings newest first and sets updated to the newest', () => {
+  const { xml, count } = buildAtomFeed([
+    event('old', hoursAgo(24 * 30)),
+    event('a', hoursAgo(48)),
+    event('b', hoursAgo(2)),
+    event('baseline', null)
+  ], { windowDays: 14 });
+  assert.strictEqual(count, 2);
+  const ids = [...xml.matchAll(/<id>urn:sf-event-agg:event:([^<]+)<\/id>/g)].map(m => m[1]);
+  assert.deepStrictEqual(ids, ['b', 'a']);
+  const feedUpdated = xml.match(/<updated>([^<]+)<\/updated>/)[1];
+  const entryUpdated = [...xml.matchAll(/<entry>[\s\S]*?<updated>([^<]+)<\/updated>/g)].map(m => m[1]);
+  assert.strictEqual(feedUpdated, entryUpdated[0]);
+  assert.ok(entryUpdated[0] > entryUpdated[1]);
+});
+
+test('buildAtomFeed escapes titles, links and content', () => {
+  const { xml } = buildAtomFeed([event('x', hoursAgo(1), {
+    title: 'Rock & Roll <Night>',
+    venue: "Bob's",
+    link: 'https://example.com/?a=1&b="2"',
+    details: '<script>alert(1)</script>'
+  })], { title: 'SF & Co' });
+  assert.match(xml, /<title>Rock &amp; Roll &lt;Night&gt; @ Bob&apos;s \(/);
+  assert.match(xml, /href="https:\/\/example\.com\/\?a=1&amp;b=&quot;2&quot;"/);
+  assert.match(xml, /<title>SF &amp; Co: New Listings<\/title>/);
+  assert.ok(!xml.includes('<script>'));
+  assert.match(xml, /&amp;lt;script&amp;gt;/);
+});
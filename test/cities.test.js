@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyRegionPolicy, cityFromAddress, normalizeCity } = require('../lib/cities');
+
+test('normalizeCity maps source spellings to one name and region', () => {
+  assert.deepStrictEqual(normalizeCity('S.F.'), { city: 'San Francisco', region: 'sf' });
+  assert.deepStrictEqual(normalizeCity('san francisco, ca'), { city: 'San Francisco', region: 'sf' });
+  assert.deepStrictEqual(normalizeCity('Berkely'), { city: 'Berkeley', region: 'east-bay' });
+  assert.deepStrictEqual(normalizeCity('Oakland, CA'), { city: 'Oakland', region: 'east-bay' });
+  assert.deepStrictEqual(normalizeCity('South San Francisco'), { city: 'South San Francisco', region: 'peninsula' });
+  assert.deepStrictEqual(normalizeCity('Sacramento'), { city: 'Sacramento', region: 'sacramento' });
+});
+
+test('normalizeCity keeps unknown cities with no region', () => {
+  assert.deepStrictEqual(normalizeCity('Guerneville, CA'), { city: 'Guerneville', region: null });
+  assert.deepStrictEqual(normalizeCity(''), { city: null, region: null });
+});
+
+test('cityFromAddress reads the city before the state', () => {
+  assert.strictEqual(cityFromAddress('523 Broadway, San Francisco, CA 94133, USA'), 'San Francisco');
+  assert.strictEqual(cityFromAddress('Somewhere'), null);
+});
+
+test('applyRegionPolicy keeps allowed regions and counts the rest', () => {
+  const events = [
+    { city: 'San Francisco', region: 'sf' },
+    { city: 'Sacramento', region: 'sacramento' },
+    { city: 'Guerneville', region: null },
+    { city: null, region: null }
+  ];
+  const drops = {};
+  assert.strictEqual(applyRegionPolicy(events, { allow: ['sf'], keepUnknown: true }, drops).length, 3);
+  assert.deepStrictEqual(drops, { 'outside-area': 1 });
+
+  const strictDrops = {};
+  assert.strictEqual(applyRegionPolicy(events, { allow: ['sf'], keepUnknown: false }, strictDrops).length, 1);
+  assert.deepStrictEqual(strictDrops, { 'outside-area': 1, 'unknown-city': 1, 'no-city': 1 });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { dedupeEvents, normalizeVenue, titleSimilarity } = require('../lib/dedupe');
+
+function event(fields) {
+  return { date: '2026-11-07', venue: 'Make-Out Room', title: 'Sound Box', bands: [], links: [], ...fields };
+}
+
+test('normalizeVenue ignores articles, punctuation and the address', () => {
+  assert.strictEqual(normalizeVenue('The Make-Out Room'), 'makeoutroom');
+  assert.strictEqual(normalizeVenue('Café du Nord, 2174 Market St'), 'cafedunord');
+  assert.strictEqual(normalizeVenue('Bottom of the Hill'), normalizeVenue('bottom of the hill'));
+});
+
+test('titleSimilarity matches a headliner against a full lineup', () => {
+  assert.strictEqual(titleSimilarity({ title: 'Tash' }, { title: 'Sound Box - Tash, Snkr' }), 1);
+  assert.strictEqual(titleSimilarity({ title: 'Osees' }, { title: 'Prettiest Eyes' }), 0);
+});
+
+test('dedupeEvents merges near-duplicate titles across sources', t => {
+  t.mock.method(console, 'log', () => {});
+  const merged = dedupeEvents([
+    event({ id: 'posh-1', source: 'posh.vip', title: 'SOUND BOX presents Tash', start: '21:00', link: 'https://posh.vip/e/sound-box' }),
+    event({ id: '19hz-1', source: '19hz', title: 'Sound Box - Tash, Snkr', venue: 'The Make-Out Room', start: '21:30' })
+  ]);
+  assert.strictEqual(merged.length, 1);
+  assert.deepStrictEqual(merged[0].sources, ['posh.vip', '19hz']);
+});
+
+test('dedupeEvents keeps shows at different venues, on different dates or far apart in time', t => {
+  t.mock.method(console, 'log', () => {});
+  const events = dedupeEvents([
+    event({ id: 'a', source: '19hz', title: 'Tash', start: '21:00' }),
+    event({ id: 'b', source: 'posh.vip', title: 'Tash', venue: 'The Chapel' }),
+    event({ id: 'c', source: 'partiful', title: 'Tash', date: '2026-11-08' }),
+    event({ id: 'd', source: 'foopee', title: 'Tash', start: '14:00' }),
+    event({ id: 'e', source: 'posh.vip', title: 'Tash', start: '22:00', venue: 'Make-Out Room' })
+  ]);
+  assert.deepStrictEqual(events.map(e => e.id), ['a', 'b', 'c', 'd']);
+  assert.deepStrictEqual(events[0].sourceIds, ['a', 'e']);
+});
+
+test('mergeEvents keeps the first source\'s title and fills the rest from the richest copy', t => {
+  t.mock.method(console, 'log', () => {});
+  const [merged] = dedupeEvents([
+    event({ id: 'posh-9', source: 'posh.vip', title: 'Tash', age: '18+', details: 'short', link: 'https://posh.vip/e/tash', image: 'flyer.jpg' }),
+    event({
+      id: 'foopee-1', source: 'foopee', title: 'Tash', bands: ['Tash', 'Snkr'], age: '21+', details: 'a/a $15 8pm doors 7pm',
+      time: '7pm/8pm', doors: '19:00', start: '20:00', startsAt: '2026-11-07T20:00:00-08:00', price: { min: 15, max: 15, free: false, soldOut: false }
+    })
+  ]);
+  assert.strictEqual(merged.title, 'Tash');
+  assert.strictEqual(merged.link, 'https://posh.vip/e/tash');
+  assert.strictEqual(merged.image, 'flyer.jpg');
+  assert.strictEqual(merged.details, 'a/a $15 8pm doors 7pm');
+  assert.strictEqual(merged.start, '20:00');
+  assert.strictEqual(merged.doors, '19:00');
+  assert.strictEqual(merged.price.min, 15);
+  assert.strictEqual(merged.age, '21+');
+  assert.deepStrictEqual(merged.bands, ['Tash', 'Snkr']);
+  // The smallest source ID, whichever source came first
+  assert.strictEqual(merged.id, 'foopee-1');
+  assert.deepStrictEqual(merged.sourceIds, ['foopee-1', 'posh-9']);
+});
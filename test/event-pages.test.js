@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildEventPage, eventPagePath } = require('../lib/event-pages');
+
+const event = {
+  id: 'posh-abc123',
+  date: '2026-02-14',
+  time: '9pm',
+  title: 'Love <3 Techno',
+  venue: 'Make-Out Room',
+  city: 'San Francisco',
+  location: { address: '3225 22nd St, San Francisco', neighborhood: 'Mission', lat: 37.7553, long: -122.4194, capacity: 250 },
+  description: 'All night long.\n\nBring "friends" & dance.',
+  image: 'https://images.example.com/flyer.jpg',
+  organizer: 'Kodered Ent',
+  age: '21+',
+  price: { min: 10, max: 20, free: false, soldOut: false },
+  bands: ['DJ One', 'DJ Two'],
+  genres: ['techno'],
+  source: 'posh.vip',
+  link: 'https://posh.vip/e/love',
+  links: [{ source: 'posh.vip', url: 'https://posh.vip/e/love' }, { source: '19hz', url: 'https://19hz.info/x' }]
+};
+
+test('event pages carry Open Graph tags for previews', () => {
+  const html = buildEventPage(event, { title: 'SF Music Events', url: 'https://example.com/' });
+  assert.ok(html.includes('<meta property="og:title" content="Love &lt;3 Techno">'));
+  assert.ok(html.includes('<meta property="og:url" content="https://example.com/e/posh-abc123">'));
+  assert.ok(html.includes('<meta property="og:image" content="https://images.example.com/flyer.jpg">'));
+  assert.ok(html.includes('<meta property="og:description" content="Sat, Feb 14 · 9pm · Make-Out Room, San Francisco — DJ One, DJ Two">'));
+  assert.ok(html.includes('<meta name="twitter:card" content="summary_large_image">'));
+});
+
+test('event pages show the lineup, description, flyer, price, age and every link', () => {
+  const html = buildEventPage(event, { title: 'SF Music Events', url: '', genreLabel: id => id.toUpperCase() });
+  assert.ok(html.includes('<li>DJ One</li>'));
+  assert.ok(html.includes('<p>Bring &quot;friends&quot; &amp; dance.</p>'));
+  assert.ok(html.includes('<img class="flyer" src="https://images.example.com/flyer.jpg"'));
+  assert.ok(html.includes('$10–20'));
+  assert.ok(html.includes('<span class="event-age">21+</span>'));
+  assert.ok(html.includes('<span class="event-genre">TECHNO</span>'));
+  assert.ok(html.includes('Presented by Kodered Ent'));
+  assert.ok(html.includes('href="https://19hz.info/x"'));
+  assert.ok(html.includes('href="../ics/posh-abc123.ics"'));
+  assert.ok(html.includes('Make-Out Room, Mission, San Francisco'));
+  assert.ok(!html.includes('og:url'), 'no og:url without a site URL');
+});
+
+test('eventPagePath is relative to the metro site', () => {
+  assert.strictEqual(eventPagePath(event), 'e/posh-abc123');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const config = require('../config');
+const { getSource } = require('../sources');
+const { dedupeEvents } = require('../lib/dedupe');
+const { classifyGenres } = require('../lib/genres');
+const { resolveVenues } = require('../lib/venues');
+const { writeEventsJSON } = require('../lib/export-json');
+
+const TODAY = '2026-02-01';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('events.json from every parser validates against events.schema.json', t => {
+  t.mock.method(console, 'log', () => {});
+  const events = dedupeEvents([
+    ...getSource('19hz').parse(fixture('19hz-bayarea.html'), TODAY),
+    ...getSource('foopee').parse(['foopee-dec29-jan4.html', 'foopee-jan5-jan11.html'].map(fixture), '2025-12-28'),
+    ...getSource('posh.vip').parse(JSON.parse(fixture('posh-api-response.json')).result.data.events, TODAY),
+    ...getSource('partiful').parse(fixture('partiful-discover-sf.html'), TODAY)
+  ]);
+  const resolved = resolveVenues(events, {});
+  resolved.forEach(event => { event.genres = classifyGenres(event, config.genres.taxonomy, []); });
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'events-json-')), 'events.json');
+  writeEventsJSON(resolved, file);
+  const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const ajv = new Ajv2020({ allErrors: true });
+  addFormats(ajv);
+  const validate = ajv.compile(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'events.schema.json'), 'utf8')));
+  assert.ok(validate(payload), ajv.errorsText(validate.errors));
+
+  assert.strictEqual(payload.count, payload.events.length);
+  assert.ok(payload.count > 0);
+  assert.deepStrictEqual(Object.keys(payload.events[0]).slice(0, 3), ['id', 'date', 'time']);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { classifyGenres, genreLabel } = require('../lib/genres');
+
+const taxonomy = config.genres.taxonomy;
+
+test('19hz tags pick subgenres and their parent', () => {
+  const event = { title: 'Sound Box - Tash, Snkr', details: '$10-15 | 18+ | house, disco', tags: ['house', 'disco'] };
+  assert.deepStrictEqual(classifyGenres(event, taxonomy), ['electronic', 'house', 'disco']);
+});
+
+test('ambiguous words only count as source tags', () => {
+  assert.deepStrictEqual(classifyGenres({ title: 'Punk house show', details: 'a/a $5' }, taxonomy), ['punk']);
+});
+
+test('keywords in titles, details and band names classify', () => {
+  assert.deepStrictEqual(classifyGenres({ title: 'Jazz on the Lake', details: 'Quartet night by Lake Merritt.' }, taxonomy), ['jazz']);
+  assert.deepStrictEqual(classifyGenres({ title: 'Slayer tribute', bands: ['Doom Cult'] }, taxonomy), ['metal']);
+});
+
+test('descriptions and organizers classify when the title says nothing', () => {
+  assert.deepStrictEqual(classifyGenres({ title: 'Friday night', details: '', description: 'An evening of live jazz' }, taxonomy), ['jazz']);
+  assert.deepStrictEqual(classifyGenres({ title: 'Warehouse party', organizer: 'Bay Area Techno Collective' }, taxonomy), ['electronic', 'techno']);
+});
+
+test('unmatched events fall back to the source defaults', () => {
+  assert.deepStrictEqual(classifyGenres({ title: 'Bottom of the Hill' }, taxonomy, ['punk', 'rock']), ['punk', 'rock']);
+  assert.deepStrictEqual(classifyGenres({ title: 'Pop-up market' }, taxonomy), []);
+});
+
+test('genreLabel uses the taxonomy label', () => {
+  assert.strictEqual(genreLabel('drum-and-bass', taxonomy), 'Drum & Bass');
+  assert.strictEqual(genreLabel('polka', taxonomy), 'Polka');
+});
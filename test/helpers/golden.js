@@ -0,0 +1,27 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+
+// Compare `actual` with test/golden/<name>.json. Run `UPDATE_GOLDEN=1 npm test`
+// to accept new output after an intended parser change. Missing files are
+// written on first run, except in CI.
+function assertGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, `${name}.json`);
+  const serialized = JSON.stringify(actual, null, 2) + '\n';
+
+  if (process.env.UPDATE_GOLDEN || (!fs.existsSync(file) && !process.env.CI)) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(file, serialized, 'utf8');
+    return;
+  }
+
+  assert.ok(fs.existsSync(file), `Missing golden file ${file}; run UPDATE_GOLDEN=1 npm test`);
+  assert.strictEqual(serialized, fs.readFileSync(file, 'utf8'),
+    `${name} output changed; if intended, run UPDATE_GOLDEN=1 npm test`);
+}
+
+module.exports = {
+  assertGolden
+};
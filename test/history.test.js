@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { updateHistory } = require('../lib/history');
+
+const show = (id, date) => ({ id, date, title: id });
+
+test('updateHistory records a baseline, then marks only new events', t => {
+  t.mock.method(console, 'log', () => {});
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'build-state.json');
+
+  const first = updateHistory([show('a', '2026-11-01'), show('b', '2026-11-02')], file, '2026-10-20');
+  assert.strictEqual(first.newCount, 0);
+  assert.ok(first.events.every(e => e.firstSeen === null));
+
+  const second = updateHistory([show('a', '2026-11-01'), show('c', '2026-11-03')], file, '2026-10-21');
+  assert.strictEqual(second.newCount, 1);
+  assert.strictEqual(second.events.find(e => e.id === 'a').firstSeen, null);
+  assert.match(second.events.find(e => e.id === 'c').firstSeen, /^\d{4}-\d{2}-\d{2}T/);
+
+  // b dropped out of the sources but hasn't happened yet, so it isn't new when it returns
+  const third = updateHistory([show('b', '2026-11-02')], file, '2026-10-22');
+  assert.strictEqual(third.newCount, 0);
+});
+
+test('updateHistory forgets shows that are over', t => {
+  t.mock.method(console, 'log', () => {});
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'build-state.json');
+  updateHistory([show('past', '2026-10-20'), show('soon', '2026-10-25')], file, '2026-10-19');
+  updateHistory([], file, '2026-10-22');
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(Object.keys(state.events), ['soon']);
+});
+
+test('a merged event whose ID changes isn\'t new again', t => {
+  t.mock.method(console, 'log', () => {});
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'build-state.json');
+  updateHistory([{ ...show('posh-b', '2026-11-01'), sourceIds: ['posh-b'] }], file, '2026-10-20');
+  const next = updateHistory([{ ...show('foopee-a', '2026-11-01'), sourceIds: ['foopee-a', 'posh-b'] }], file, '2026-10-21');
+  assert.strictEqual(next.newCount, 0);
+});
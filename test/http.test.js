@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { configureHttp, fetchText } = require('../lib/http');
+
+// Local server whose responses the tests script; records each request's headers
+function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    handler(req, res, requests.length);
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/page`,
+        close: () => server.close(),
+        closeAllConnections: () => server.closeAllConnections()
+      });
+    });
+  });
+}
+
+function useCache(options = {}) {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+  configureHttp({ cacheDir, retries: 2, retryDelayMs: 1, hostIntervalMs: 0, ...options });
+  return cacheDir;
+}
+
+test('fetchText serves fresh copies from the cache without a request', async () => {
+  const server = await startServer((req, res) => res.end('hello'));
+  useCache({ ttlMinutes: 10 });
+  try {
+    assert.strictEqual(await fetchText(server.url), 'hello');
+    assert.strictEqual(await fetchText(server.url), 'hello');
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('fetchText revalidates stale copies with the ETag', async () => {
+  const server = await startServer((req, res) => {
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { ETag: '"v1"', 'Last-Modified': 'Mon, 19 Oct 2026 10:00:00 GMT' });
+    res.end('first');
+  });
+  useCache({ ttlMinutes: 0 });
+  try {
+    assert.strictEqual(await fetchText(server.url), 'first');
+    assert.strictEqual(await fetchText(server.url), 'first');
+    assert.strictEqual(server.requests.length, 2);
+    assert.strictEqual(server.requests[1]['if-none-match'], '"v1"');
+    assert.strictEqual(server.requests[1]['if-modified-since'], 'Mon, 19 Oct 2026 10:00:00 GMT');
+  } finally {
+    server.close();
+  }
+});
+
+test('fetchText retries server errors and gives up on client errors', async () => {
+  const flaky = await startServer((req, res, n) => {
+    res.writeHead(n < 3 ? 503 : 200);
+    res.end(n < 3 ? 'busy' : 'ok');
+  });
+  const missing = await startServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+  useCache();
+  try {
+    assert.strictEqual(await fetchText(flaky.url), 'ok');
+    assert.strictEqual(flaky.requests.length, 3);
+    assert.strictEqual(await fetchText(missing.url), null);
+    assert.strictEqual(missing.requests.length, 1);
+  } finally {
+    flaky.close();
+    missing.close();
+  }
+});
+
+test('fetchText falls back to a stale copy when upstream fails', async () => {
+  const server = await startServer((req, res, n) => {
+    res.writeHead(n === 1 ? 200 : 500);
+    res.end(n === 1 ? 'cached' : 'error');
+  });
+  useCache({ ttlMinutes: 0, retries: 0 });
+  try {
+    assert.strictEqual(await fetchText(server.url), 'cached');
+    assert.strictEqual(await fetchText(server.url), 'cached');
+    assert.strictEqual(server.requests.length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('stale copies are only used up to maxStaleMinutes old, and reported', async () => {
+  const server = await startServer((req, res, n) => {
+    res.writeHead(n === 1 ? 200 : 500);
+    res.end(n === 1 ? 'cached' : 'error');
+  });
+  const cacheDir = useCache({ ttlMinutes: 0, retries: 0, maxStaleMinutes: 60 });
+  try {
+    const stale = [];
+    const onStale = fetchedAt => stale.push(fetchedAt);
+    assert.strictEqual(await fetchText(server.url, { onStale }), 'cached');
+    assert.strictEqual(await fetchText(server.url, { onStale }), 'cached');
+    assert.strictEqual(stale.length, 1);
+
+    // Age the cached copy past the limit
+    const [file] = fs.readdirSync(cacheDir);
+    const entry = JSON.parse(fs.readFileSync(path.join(cacheDir, file), 'utf8'));
+    fs.writeFileSync(path.join(cacheDir, file), JSON.stringify({ ...entry, fetchedAt: Date.now() - 2 * 3600000 }));
+    assert.strictEqual(await fetchText(server.url, { onStale }), null);
+    assert.strictEqual(stale.length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('offline mode reads only the cache', async () => {
+  const server = await startServer((req, res) => res.end('online'));
+  const cacheDir = useCache({ ttlMinutes: 0 });
+  try {
+    assert.strictEqual(await fetchText(server.url), 'online');
+    configureHttp({ cacheDir, offline: true });
+    assert.strictEqual(await fetchText(server.url), 'online');
+    assert.strictEqual(await fetchText(`${server.url}?other`), null);
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('requests to one host are spaced hostIntervalMs apart', async () => {
+  const server = await startServer((req, res) => res.end('ok'));
+  useCache({ ttlMinutes: 0, hostIntervalMs: 50 });
+  try {
+    const started = Date.now();
+    await Promise.all([fetchText(`${server.url}?a`), fetchText(`${server.url}?b`), fetchText(`${server.url}?c`)]);
+    assert.ok(Date.now() - started >= 100, 'three requests took less than two intervals');
+  } finally {
+    server.close();
+  }
+});
+
+test('fetchText times out a hung request and stops when cancelled', async () => {
+  const server = await startServer(() => {});
+  useCache({ ttlMinutes: 0, retries: 1, requestTimeoutMs: 30 });
+  try {
+    assert.strictEqual(await fetchText(server.url), null);
+    assert.strictEqual(server.requests.length, 2);
+
+    const controller = new AbortController();
+    const pending = fetchText(`${server.url}?cancel`, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    assert.strictEqual(await pending, null);
+    assert.strictEqual(server.requests.length, 3);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCalendar } = require('../lib/ical');
+
+function event(fields = {}) {
+  return {
+    id: 'foopee-abc123', date: '2026-02-14', title: 'Osees', venue: 'Bottom of the Hill', city: 'San Francisco',
+    time: '8pm til 12am', start: '20:00', startsAt: '2026-02-14T20:00:00-08:00', endsAt: '2026-02-15T00:00:00-08:00',
+    bands: [], links: [], genres: [], ...fields
+  };
+}
+
+// Content lines with folding undone
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('buildCalendar escapes text values', () => {
+  const lines = unfold(buildCalendar([event({ title: 'Rock; Roll, \\ More', details: 'line one\nline two' })], 'Cal'));
+  assert.ok(lines.includes('SUMMARY:Rock\\; Roll\\, \\\\ More'));
+  assert.ok(lines.some(l => l.startsWith('DESCRIPTION:') && l.includes('line one\\nline two')));
+  assert.ok(lines.includes('LOCATION:Bottom of the Hill\\, San Francisco'));
+});
+
+test('buildCalendar folds long lines at 75 octets', () => {
+  const ics = buildCalendar([event({ title: 'Ü'.repeat(60) })], 'Cal');
+  ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(unfold(ics).includes(`SUMMARY:${'Ü'.repeat(60)}`));
+});
+
+test('buildCalendar uses the Pacific TZID, or UTC for other zones', () => {
+  const pacific = unfold(buildCalendar([event()], 'Cal'));
+  assert.ok(pacific.includes('BEGIN:VTIMEZONE'));
+  assert.ok(pacific.includes('DTSTART;TZID=America/Los_Angeles:20260214T200000'));
+  assert.ok(pacific.includes('DTEND;TZID=America/Los_Angeles:20260215T000000'));
+
+  const utc = unfold(buildCalendar([event()], 'Cal', 'America/New_York'));
+  assert.ok(!utc.includes('BEGIN:VTIMEZONE'));
+  assert.ok(utc.includes('DTSTART:20260215T040000Z'));
+  assert.ok(utc.includes('DTEND:20260215T080000Z'));
+
+  const allDay = unfold(buildCalendar([event({ time: null, start: null, startsAt: null, endsAt: null })], 'Cal'));
+  assert.ok(allDay.includes('DTSTART;VALUE=DATE:20260214'));
+  assert.ok(allDay.includes('DTEND;VALUE=DATE:20260215'));
+});
+
+test('buildCalendar UIDs come from the event ID, so they stay put between builds', () => {
+  const first = unfold(buildCalendar([event()], 'Cal')).filter(l => l.startsWith('UID:'));
+  const second = unfold(buildCalendar([event({ title: 'Osees (late show added)' })], 'Cal')).filter(l => l.startsWith('UID:'));
+  assert.deepStrictEqual(first, ['UID:foopee-abc123@sf-event-agg']);
+  assert.deepStrictEqual(second, first);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { VENUES } = require('../lib/venues');
+const { mapSvg, projection, venuePins } = require('../lib/map');
+
+const BASEMAPS = config.metros.filter(m => m.basemap).map(m => ({ metro: m.id, basemap: require(`../${m.basemap}`) }));
+
+// Ray casting over [long, lat] points
+function onLand(basemap, lat, long) {
+  return basemap.land.some(shape => {
+    let inside = false;
+    const points = shape.points;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const [xi, yi] = points[i];
+      const [xj, yj] = points[j];
+      if ((yi > lat) !== (yj > lat) && long < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  });
+}
+
+test('registry venues on a metro map land on the basemap\'s land', () => {
+  BASEMAPS.forEach(({ metro, basemap }) => {
+    const { north, south, west, east } = basemap.bounds;
+    VENUES
+      .filter(v => v.lat <= north && v.lat >= south && v.long >= west && v.long <= east)
+      .forEach(v => assert.ok(onLand(basemap, v.lat, v.long), `${v.name} is in the water on the ${metro} map`));
+  });
+});
+
+test('basemap labels sit on land inside the bounds', () => {
+  BASEMAPS.forEach(({ metro, basemap }) => {
+    const { north, south, west, east } = basemap.bounds;
+    (basemap.labels || []).forEach(label => {
+      assert.ok(label.lat <= north && label.lat >= south && label.long >= west && label.long <= east, `${label.text} is off the ${metro} map`);
+      assert.ok(onLand(basemap, label.lat, label.long), `${label.text} is in the water on the ${metro} map`);
+    });
+  });
+});
+
+test('projection keeps north up and the aspect ratio of the bounds', () => {
+  const { width, height, project } = projection({ north: 38, south: 37, west: -123, east: -122 }, 1000);
+  assert.strictEqual(width, 1000);
+  assert.ok(height > width, 'a degree of latitude is longer than a degree of longitude here');
+  assert.deepStrictEqual(project(38, -123), { x: 0, y: 0 });
+  const corner = project(37, -122);
+  assert.strictEqual(corner.x, 1000);
+  assert.ok(Math.abs(corner.y - height) <= 1, `bottom edge at ${corner.y}, map height ${height}`);
+});
+
+test('venuePins groups events by venue and skips events off the map', () => {
+  const bounds = { north: 38, south: 37, west: -123, east: -122 };
+  const at = (id, venue, lat, long) => ({ id, venue, location: { lat, long } });
+  const pins = venuePins([
+    at('a', 'Tallboy', 37.8311, -122.2636),
+    at('b', 'Make-Out Room', 37.7553, -122.4194),
+    at('c', 'Tallboy', 37.8311, -122.2636),
+    at('d', 'Far Away', 34.05, -118.24),
+    { id: 'e', venue: 'Backyard', location: null }
+  ], bounds);
+  assert.deepStrictEqual(pins.map(p => [p.venue, p.ids]), [['Tallboy', ['a', 'c']], ['Make-Out Room', ['b']]]);
+});
+
+test('mapSvg escapes venue names in pins', () => {
+  const { basemap } = BASEMAPS[0];
+  const svg = mapSvg([{ id: 'x', venue: 'Bar <&> "Club"', location: { lat: 37.7553, long: -122.4194 } }], basemap);
+  assert.ok(svg.includes('data-venue="Bar &lt;&amp;&gt; &quot;Club&quot;"'));
+  assert.ok(svg.startsWith('<svg') && svg.endsWith('</svg>'));
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { timeFields } = require('../lib/time');
+const { buildCalendar } = require('../lib/ical');
+const { parse19hz } = require('../sources/19hz');
+
+const html19hz = fs.readFileSync(path.join(__dirname, 'fixtures', '19hz-bayarea.html'), 'utf8');
+
+test('timeFields uses the metro timezone offset', () => {
+  const pacific = timeFields('2026-07-01', { doors: null, start: 21 * 60, end: null });
+  const eastern = timeFields('2026-07-01', { doors: null, start: 21 * 60, end: null }, 'America/New_York');
+  assert.strictEqual(pacific.startsAt, '2026-07-01T21:00:00-07:00');
+  assert.strictEqual(eastern.startsAt, '2026-07-01T21:00:00-04:00');
+});
+
+test('timeFields picks the right side of a DST switch', () => {
+  assert.strictEqual(timeFields('2026-03-08', { doors: null, start: 90, end: null }).startsAt, '2026-03-08T01:30:00-08:00');
+  assert.strictEqual(timeFields('2026-03-08', { doors: null, start: 180, end: null }).startsAt, '2026-03-08T03:00:00-07:00');
+});
+
+test('parse19hz reads times on the metro clock', () => {
+  const [first] = parse19hz(html19hz, '2026-02-01', {}, { timezone: 'America/New_York' });
+  assert.match(first.startsAt, /-05:00$/);
+});
+
+test('calendars outside Pacific time use UTC instead of a TZID', () => {
+  const event = { id: 'x', date: '2026-07-01', start: '21:00', startsAt: '2026-07-01T21:00:00-04:00', endsAt: null, title: 'Show' };
+  const ics = buildCalendar([event], 'NYC', 'America/New_York');
+  assert.match(ics, /DTSTART:20260702T010000Z/);
+  assert.match(ics, /DTEND:20260702T040000Z/);
+  assert.doesNotMatch(ics, /BEGIN:VTIMEZONE/);
+});
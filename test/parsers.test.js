@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { getSource } = require('../sources');
+const { assertGolden } = require('./helpers/golden');
+
+// posh-api-response.json is a real API response saved in February 2026. The
+// 19hz, Foopee and Partiful fixtures are synthetic: hand-written to cover parser
+// cases (times, prices, ages, cities), so they can't catch upstream markup
+// changes. The live captures in fixtures/captured/ (see the tests at the end) do.
+// Both kinds are parsed as of early February 2026.
+const TODAY = '2026-02-01';
+const CAPTURED_DIR = path.join(__dirname, 'fixtures', 'captured');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('19hz listing table', () => {
+  const events = getSource('19hz').parse(fixture('19hz-bayarea.html'), TODAY);
+  assert.ok(events.length > 0, '19hz fixture produced no events');
+  assertGolden('19hz', events);
+});
+
+test('Foopee weekly pages', () => {
+  const pages = ['foopee-dec29-jan4.html', 'foopee-jan5-jan11.html'].map(fixture);
+  const events = getSource('foopee').parse(pages, '2026-12-28');
+  assert.ok(events.length > 0, 'Foopee fixtures produced no events');
+  assertGolden('foopee', events);
+});
+
+test('posh.vip marketplace API response', () => {
+  const data = JSON.parse(fixture('posh-api-response.json'));
+  const events = getSource('posh.vip').parse(data.result.data.events, TODAY);
+  assert.ok(events.length > 0, 'posh.vip fixture produced no events');
+  assertGolden('posh', events);
+});
+
+test('Partiful discover page __NEXT_DATA__', () => {
+  const events = getSource('partiful').parse(fixture('partiful-discover-sf.html'), TODAY);
+  assert.ok(events.length > 0, 'Partiful fixture produced no events');
+  assertGolden('partiful', events);
+});
+
+test('Partiful page without __NEXT_DATA__ yields nothing', () => {
+  assert.deepStrictEqual(getSource('partiful').parse('<html><body></body></html>', TODAY), []);
+});
+
+test('Partiful venue coordinates from mapsInfo', () => {
+  const page = events => `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps: { feedItems: events.map(event => ({ event })) } } })}</script>`;
+  const startDate = '2026-02-14T04:00:00.000Z';
+  const parsed = getSource('partiful').parse(page([
+    { id: 'maps', title: 'A', startDate, locationInfo: { mapsInfo: { name: 'Venue', addressLines: ['1 Main St', 'Oakland, CA'], latitude: 37.8, longitude: -122.27 } } },
+    { id: 'private', title: 'B', startDate, locationInfo: { displayAddressLines: ["Someone's House", 'Berkeley, CA'] } }
+  ]), TODAY);
+  assert.deepStrictEqual(parsed.map(e => [e.location.lat, e.location.long]), [[37.8, -122.27], [null, null]]);
+  assert.strictEqual(parsed[0].location.address, '1 Main St, Oakland, CA');
+});
+
+// Trimmed live captures from `npm run capture-fixtures`, parsed as of the day
+// they were taken. A source without one is skipped until it is captured.
+const captured = fs.existsSync(path.join(CAPTURED_DIR, 'manifest.json'))
+  ? JSON.parse(fs.readFileSync(path.join(CAPTURED_DIR, 'manifest.json'), 'utf8'))
+  : {};
+
+['19hz', 'foopee', 'partiful'].forEach(name => {
+  const entry = captured[name];
+  test(`${name} live capture`, { skip: !entry && 'not captured yet (npm run capture-fixtures)' }, () => {
+    const pages = entry.files.map(file => fs.readFileSync(path.join(CAPTURED_DIR, file), 'utf8'));
+    const events = getSource(name).parse(name === 'foopee' ? pages : pages[0], entry.capturedAt);
+    assert.ok(events.length > 0, `${name} capture produced no events`);
+    assertGolden(`captured-${name}`, events);
+  });
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mapWithConcurrency } = require('../lib/pool');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapWithConcurrency keeps input order and the concurrency limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, i) => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(ms);
+    running--;
+    return i;
+  });
+  assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+  assert.strictEqual(peak, 2);
+});
+
+test('mapWithConcurrency handles an empty list', async () => {
+  assert.deepStrictEqual(await mapWithConcurrency([], 4, async x => x), []);
+});
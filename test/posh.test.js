@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { configureHttp } = require('../lib/http');
+const posh = require('../sources/posh');
+
+// fetchPoshVip logs progress; keep it out of the test runner's output
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+// Fake marketplace API: `respond(input)` gives { events, nextCursor } per query
+async function withApi(respond, run) {
+  const inputs = [];
+  const server = http.createServer((req, res) => {
+    const input = JSON.parse(new URL(req.url, 'http://localhost').searchParams.get('input'));
+    inputs.push(input);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ result: { data: respond(input) } }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  configureHttp({ cacheDir: fs.mkdtempSync(path.join(os.tmpdir(), 'posh-')), hostIntervalMs: 0, retries: 0 });
+  try {
+    await run(`http://127.0.0.1:${server.address().port}/api`, inputs);
+  } finally {
+    server.close();
+  }
+}
+
+const page = (ids, nextCursor) => ({ events: ids.map(id => ({ _id: id })), nextCursor });
+
+test('posh.vip follows nextCursor until it runs out', async () => {
+  await withApi(input => {
+    if (input.cursor === undefined) return page(['a', 'b'], 2);
+    if (input.cursor === 2) return page(['c'], 3);
+    return page(['d'], null);
+  }, async (apiUrl, inputs) => {
+    const events = await posh.fetch({ apiUrl, ranges: ['This Month'] });
+    assert.deepStrictEqual(events.map(e => e._id), ['a', 'b', 'c', 'd']);
+    assert.deepStrictEqual(inputs.map(i => i.cursor), [undefined, 2, 3]);
+  });
+});
+
+test('posh.vip stops at maxPages', async () => {
+  await withApi(input => page([`e${input.cursor || 0}`], (input.cursor || 0) + 1), async (apiUrl, inputs) => {
+    const events = await posh.fetch({ apiUrl, ranges: ['This Month'], maxPages: 3 });
+    assert.strictEqual(events.length, 3);
+    assert.strictEqual(inputs.length, 3);
+  });
+});
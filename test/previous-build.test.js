@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { configureHttp } = require('../lib/http');
+const { restoreFromSite } = require('../lib/previous-build');
+
+test('restoreFromSite fetches a missing file from the live site, and leaves an existing one alone', async t => {
+  t.mock.method(console, 'log', () => {});
+  const server = http.createServer((req, res) => res.end('{"baseline":{"foopee":28}}'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'previous-build-'));
+  configureHttp({ cacheDir: path.join(dir, 'cache'), hostIntervalMs: 0, retries: 0 });
+  const url = `http://127.0.0.1:${server.address().port}/build-report.json`;
+  const file = path.join(dir, 'build-report.json');
+  try {
+    assert.strictEqual(await restoreFromSite(file, url), true);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { baseline: { foopee: 28 } });
+    fs.writeFileSync(file, '{}');
+    assert.strictEqual(await restoreFromSite(file, url), false);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '{}');
+    assert.strictEqual(await restoreFromSite(path.join(dir, 'other.json'), ''), false);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePrice, priceFromTickets } = require('../lib/price');
+
+test('parsePrice reads single prices and ranges', () => {
+  assert.deepStrictEqual(parsePrice('a/a $15 8pm'), { min: 15, max: 15, free: false, soldOut: false });
+  assert.deepStrictEqual(parsePrice('$10-15 | 18+'), { min: 10, max: 15, free: false, soldOut: false });
+  assert.deepStrictEqual(parsePrice('$20 adv/$25 door'), { min: 20, max: 25, free: false, soldOut: false });
+});
+
+test('parsePrice treats free entry as a zero minimum', () => {
+  assert.deepStrictEqual(parsePrice('free before 4 | all ages'), { min: 0, max: 0, free: true, soldOut: false });
+  assert.deepStrictEqual(parsePrice('free before 11, $10 after'), { min: 0, max: 10, free: true, soldOut: false });
+  assert.strictEqual(parsePrice('Feel free to bring a friend'), null);
+});
+
+test('parsePrice flags sold out shows', () => {
+  assert.deepStrictEqual(parsePrice('SOLD OUT $20'), { min: 20, max: 20, free: false, soldOut: true });
+  assert.deepStrictEqual(parsePrice('sold out'), { min: null, max: null, free: false, soldOut: true });
+});
+
+test('priceFromTickets skips hidden and sold out tiers', () => {
+  const tickets = [
+    { id: 'comp', price: 0, isHidden: true },
+    { id: 'early', price: 10 },
+    { id: 'ga', price: 20 },
+    { id: 'door', price: 25 }
+  ];
+  assert.deepStrictEqual(priceFromTickets(tickets, ['early']), { min: 20, max: 25, free: false, soldOut: false });
+  assert.deepStrictEqual(priceFromTickets(tickets, ['early', 'ga', 'door']), { min: 10, max: 25, free: false, soldOut: true });
+  assert.strictEqual(priceFromTickets([], []), null);
+});
+
+test('parsePrice only reads free entry into descriptions, and not next to a price', () => {
+  assert.deepStrictEqual(parsePrice('Free drinks before 10, tickets $25', { prose: true }), { min: 25, max: 25, free: false, soldOut: false });
+  assert.strictEqual(parsePrice('Free drinks all night', { prose: true }), null);
+  assert.deepStrictEqual(parsePrice('All ages, free entry.', { prose: true }), { min: 0, max: 0, free: true, soldOut: false });
+  assert.deepStrictEqual(parsePrice('Admission is free', { prose: true }), { min: 0, max: 0, free: true, soldOut: false });
+  assert.deepStrictEqual(parsePrice('a/a free 8pm'), { min: 0, max: 0, free: true, soldOut: false });
+  assert.deepStrictEqual(parsePrice('$25 | free drinks'), { min: 25, max: 25, free: false, soldOut: false });
+});
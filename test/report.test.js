@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkThresholds, nextBaseline, runSource } = require('../lib/report');
+
+function stats(name, kept) {
+  return { name, label: name, status: kept > 0 ? 'ok' : 'empty', kept };
+}
+
+test('runSource counts kept and dropped events', async () => {
+  const source = {
+    name: 'fake',
+    label: 'Fake',
+    fetch: async () => 'raw',
+    parse: (raw, todayStr, drops) => {
+      drops['outside-area'] = 2;
+      return [{ id: 'a' }];
+    }
+  };
+  const { events, stats: s } = await runSource(source, '2026-02-01');
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(s.status, 'ok');
+  assert.strictEqual(s.raw, 3);
+  assert.deepStrictEqual(s.dropped, { 'outside-area': 2 });
+});
+
+test('runSource reports a throwing source as failed', async () => {
+  const source = { name: 'broken', label: 'Broken', fetch: async () => { throw new Error('boom'); }, parse: () => [] };
+  const { events, stats: s } = await runSource(source, '2026-02-01');
+  assert.deepStrictEqual(events, []);
+  assert.strictEqual(s.status, 'failed');
+  assert.strictEqual(s.error, 'boom');
+});
+
+test('runSource gives up on a hung source and aborts its signal', async () => {
+  let signal = null;
+  const source = {
+    name: 'hung',
+    label: 'Hung',
+    fetch: options => {
+      signal = options.signal;
+      return new Promise(() => {});
+    },
+    parse: () => []
+  };
+  const { events, stats: s } = await runSource(source, '2026-02-01', undefined, { timeoutMs: 20 });
+  assert.deepStrictEqual(events, []);
+  assert.strictEqual(s.status, 'failed');
+  assert.match(s.error, /Timed out/);
+  assert.strictEqual(signal.aborted, true);
+});
+
+test('runSource reports a source served from stale cached copies', async () => {
+  const source = {
+    name: 'cached',
+    label: 'Cached',
+    fetch: async options => {
+      options.onStale(Date.UTC(2026, 1, 2));
+      options.onStale(Date.UTC(2026, 1, 1));
+      return 'raw';
+    },
+    parse: () => [{ id: 'a' }]
+  };
+  const { stats: s } = await runSource(source, '2026-02-02');
+  assert.strictEqual(s.status, 'stale');
+  assert.strictEqual(s.staleSince, '2026-02-01T00:00:00.000Z');
+  assert.deepStrictEqual(nextBaseline({ sources: [s] }, { baseline: { cached: 40 } }, {}), { cached: 40 });
+});
+
+test('runSource counts build-wide filter drops against the source', async () => {
+  const source = { name: 'fake', label: 'Fake', fetch: async () => 'raw', parse: () => [{ id: 'a' }, { id: 'b' }] };
+  const filter = (events, drops) => {
+    drops['outside-area'] = 1;
+    return events.slice(0, 1);
+  };
+  const { events, stats: s } = await runSource(source, '2026-02-01', filter);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(s.kept, 1);
+  assert.strictEqual(s.raw, 2);
+});
+
+test('checkThresholds flags a source that collapsed since the previous build', () => {
+  const previous = { sources: [stats('19hz', 200), stats('foopee', 80)] };
+  const report = { sources: [stats('19hz', 0), stats('foopee', 75)] };
+  const failures = checkThresholds(report, previous, { minRatioOfPrevious: 0.2 });
+  assert.strictEqual(failures.length, 1);
+  assert.match(failures[0], /^19hz: kept 0 events, down from 200/);
+});
+
+test('checkThresholds enforces per-source minimums', () => {
+  const report = { sources: [stats('19hz', 10), stats('foopee', 3)] };
+  const failures = checkThresholds(report, null, { minEvents: { foopee: 5 } });
+  assert.deepStrictEqual(failures, ['foopee: kept 3 events, expected at least 5']);
+});
+
+test('a failing source keeps its old baseline, so the next build still fails', () => {
+  const health = { minRatioOfPrevious: 0.2 };
+  const first = { sources: [stats('foopee', 28), stats('19hz', 100)] };
+  first.baseline = nextBaseline(first, null, health);
+
+  const broken = { sources: [stats('foopee', 0), stats('19hz', 120)] };
+  assert.strictEqual(checkThresholds(broken, first, health).length, 1);
+  broken.baseline = nextBaseline(broken, first, health);
+  assert.deepStrictEqual(broken.baseline, { foopee: 28, '19hz': 120 });
+
+  const again = { sources: [stats('foopee', 0), stats('19hz', 118)] };
+  assert.match(checkThresholds(again, broken, health)[0], /^foopee: kept 0 events, down from 28/);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSearchIndex, searchTokens } = require('../lib/search');
+
+test('searchTokens lowercases, strips accents and drops stopwords', () => {
+  assert.deepStrictEqual(searchTokens("Who's playing at the Café du Nord?"), ['cafe', 'du', 'nord']);
+  assert.deepStrictEqual(searchTokens('Bottom of the Hill'), ['bottom', 'hill']);
+  assert.deepStrictEqual(searchTokens('Sleater-Kinney w/ X 7 Seconds'), ['sleater', 'kinney', '7', 'seconds']);
+});
+
+test('buildSearchIndex maps each word to the events containing it', () => {
+  const index = buildSearchIndex([
+    { id: 'a', title: 'Osees', venue: 'Bottom of the Hill', city: 'San Francisco', bands: ['Osees', 'Prettiest Eyes'] },
+    { id: 'b', title: 'Night Market', venue: 'The Chapel', city: 'San Francisco', location: { neighborhood: 'Mission' } },
+    { id: 'c', title: 'Matinee', venue: 'Bottom of the Hill', details: 'all ages', description: 'Hill country' }
+  ]);
+  assert.strictEqual(index.version, 1);
+  assert.deepStrictEqual(index.ids, ['a', 'b', 'c']);
+  assert.deepStrictEqual(index.terms.osees, [0]);
+  assert.deepStrictEqual(index.terms.hill, [0, 2]);
+  assert.deepStrictEqual(index.terms.mission, [1]);
+  assert.deepStrictEqual(index.terms.francisco, [0, 1]);
+  assert.strictEqual(index.terms.the, undefined);
+  const terms = Object.keys(index.terms);
+  assert.deepStrictEqual(terms, [...terms].sort());
+});
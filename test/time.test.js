@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTimeRange, timeFields, timeFieldsFromInstants } = require('../lib/time');
+
+test('parseTimeRange reads doors, start and end', () => {
+  assert.deepStrictEqual(parseTimeRange('6pm/7pm til 9pm'), { doors: 18 * 60, start: 19 * 60, end: 21 * 60 });
+  assert.deepStrictEqual(parseTimeRange('9:30 PM'), { doors: null, start: 21 * 60 + 30, end: null });
+  assert.strictEqual(parseTimeRange('TBA'), null);
+});
+
+test('parseTimeRange assumes evening without am/pm', () => {
+  assert.deepStrictEqual(parseTimeRange('7:30'), { doors: null, start: 19 * 60 + 30, end: null });
+  assert.deepStrictEqual(parseTimeRange('7-11'), { doors: null, start: 19 * 60, end: 23 * 60 });
+});
+
+test('an end without am/pm is the next time the clock reads it', () => {
+  assert.strictEqual(parseTimeRange('8pm-12').end, 0);
+  assert.strictEqual(parseTimeRange('9pm-2').end, 2 * 60);
+  assert.strictEqual(parseTimeRange('10am-2').end, 14 * 60);
+  assert.strictEqual(parseTimeRange('11pm-1').end, 60);
+});
+
+test('timeFields carries overnight ends into the next day', () => {
+  const fields = timeFields('2026-02-14', parseTimeRange('8pm-12'));
+  assert.strictEqual(fields.time, '8pm til 12am');
+  assert.strictEqual(fields.startsAt, '2026-02-14T20:00:00-08:00');
+  assert.strictEqual(fields.endsAt, '2026-02-15T00:00:00-08:00');
+});
+
+test('timeFields uses the offset in effect on each side of a DST change', () => {
+  assert.strictEqual(timeFields('2026-03-07', parseTimeRange('9pm')).startsAt, '2026-03-07T21:00:00-08:00');
+  assert.strictEqual(timeFields('2026-03-08', parseTimeRange('9pm')).startsAt, '2026-03-08T21:00:00-07:00');
+  const fallBack = timeFields('2026-10-31', parseTimeRange('10pm-2am'));
+  assert.strictEqual(fallBack.startsAt, '2026-10-31T22:00:00-07:00');
+  assert.strictEqual(fallBack.endsAt, '2026-11-01T02:00:00-08:00');
+});
+
+test('timeFieldsFromInstants reads UTC on the local clock', () => {
+  const fields = timeFieldsFromInstants('2026-02-15T05:00:00Z', '2026-02-15T10:00:00Z', 'America/Los_Angeles');
+  assert.strictEqual(fields.date, '2026-02-14');
+  assert.strictEqual(fields.start, '21:00');
+  assert.strictEqual(fields.endsAt, '2026-02-15T02:00:00-08:00');
+  assert.strictEqual(timeFieldsFromInstants('2026-02-15T05:00:00Z', '2026-02-17T05:00:00Z').end, null);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashEventId, uniqueEventIds } = require('../lib/util');
+
+test('hashEventId tells early and late shows apart', () => {
+  const early = hashEventId('foopee', '2026-11-07', 'Bottom of the Hill', 'Osees', '18:00');
+  const late = hashEventId('foopee', '2026-11-07', 'Bottom of the Hill', 'Osees', '21:30');
+  assert.notStrictEqual(early, late);
+  assert.strictEqual(early, hashEventId('foopee', '2026-11-07', ' bottom of the hill', 'OSEES', '18:00'));
+  assert.match(hashEventId('19hz', '2026-11-07', 'Venue', 'Title'), /^19hz-[0-9a-f]{12}$/);
+});
+
+test('uniqueEventIds suffixes repeated IDs in order', () => {
+  const events = uniqueEventIds([{ id: 'a' }, { id: 'b' }, { id: 'a' }, { id: 'a' }]);
+  assert.deepStrictEqual(events.map(e => e.id), ['a', 'b', 'a-2', 'a-3']);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { VENUES, mapsUrl, resolveVenue, resolveVenues } = require('../lib/venues');
+const { normalizeCity } = require('../lib/cities');
+
+test('every registry venue is complete and in a known city', () => {
+  VENUES.forEach(venue => {
+    assert.ok(venue.name && venue.address && venue.neighborhood, `${venue.name} is missing a field`);
+    assert.ok(Array.isArray(venue.aliases), `${venue.name} has no aliases list`);
+    assert.strictEqual(typeof venue.lat, 'number', `${venue.name} has no latitude`);
+    assert.strictEqual(typeof venue.long, 'number', `${venue.name} has no longitude`);
+    assert.ok(normalizeCity(venue.city).region, `${venue.name} is in an unknown city (${venue.city})`);
+  });
+});
+
+test('resolveVenue matches names, aliases and street addresses', () => {
+  assert.strictEqual(resolveVenue('The Make-Out Room', 'San Francisco').name, 'Make-Out Room');
+  assert.strictEqual(resolveVenue('Eagle', 'San Francisco').name, 'SF Eagle');
+  assert.strictEqual(resolveVenue('Kapor Center Rooftop, 2148 Broadway', 'Oakland').name, 'Kapor Center');
+  assert.strictEqual(resolveVenue('Somebody\'s Warehouse', 'Oakland', '1658 12th Street, Oakland, CA').name, 'Continental Club');
+  assert.strictEqual(resolveVenue('TALLBOY', null).name, 'Tallboy');
+});
+
+test('resolveVenue does not match a venue in another city', () => {
+  assert.strictEqual(resolveVenue('Eagle', 'Los Angeles'), null);
+  assert.strictEqual(resolveVenue('Some Bar', 'Oakland', '1 Nowhere Ave'), null);
+});
+
+test('resolveVenues sets canonical names and locations and counts misses', () => {
+  const unmatched = {};
+  const events = resolveVenues([
+    { venue: 'THE CONTINENTAL OAKLAND', city: 'Oakland', region: 'east-bay', location: null },
+    { venue: 'Bar Agricole', city: null, region: null },
+    { venue: 'Backyard', city: 'Berkeley', region: 'east-bay' },
+    { venue: 'TBA', city: 'Oakland', region: 'east-bay' }
+  ], unmatched);
+
+  assert.strictEqual(events[0].venue, 'Continental Club');
+  assert.deepStrictEqual(events[0].location, {
+    address: '1658 12th St, Oakland',
+    neighborhood: 'West Oakland',
+    lat: 37.8110,
+    long: -122.2965,
+    capacity: 300
+  });
+  assert.strictEqual(events[1].city, 'San Francisco');
+  assert.strictEqual(events[1].region, 'sf');
+  assert.strictEqual(events[2].location, null);
+  assert.deepStrictEqual(unmatched, { 'Backyard (Berkeley)': 1 });
+});
+
+test('mapsUrl searches the address, else the coordinates or venue name', () => {
+  assert.strictEqual(
+    mapsUrl({ venue: 'Tallboy', location: { address: '4210 Telegraph Ave, Oakland' } }),
+    'https://www.google.com/maps/search/?api=1&query=Tallboy%2C%204210%20Telegraph%20Ave%2C%20Oakland'
+  );
+  assert.strictEqual(
+    mapsUrl({ venue: '', location: { address: null, lat: 37.8, long: -122.2 } }),
+    'https://www.google.com/maps/search/?api=1&query=37.8%2C-122.2'
+  );
+  assert.strictEqual(mapsUrl({ venue: 'Backyard', city: 'Berkeley', location: null }), 'https://www.google.com/maps/search/?api=1&query=Backyard%2C%20Berkeley');
+  assert.strictEqual(mapsUrl({ venue: '', location: null }), null);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseFoopeePage } = require('../sources/foopee');
+const { inferYear } = require('../lib/util');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function datesOf(events) {
+  return events.map(e => e.date);
+}
+
+test('inferYear picks the year closest to today', () => {
+  assert.strictEqual(inferYear(0, 3, '2026-12-28'), 2027);
+  assert.strictEqual(inferYear(11, 30, '2027-01-02'), 2026);
+  assert.strictEqual(inferYear(6, 4, '2026-06-20'), 2026);
+});
+
+test('Foopee week spanning New Year, seen in late December', () => {
+  const events = parseFoopeePage(fixture('foopee-dec29-jan4.html'), '2026-12-28');
+  assert.deepStrictEqual(datesOf(events), ['2026-12-29', '2026-12-31', '2027-01-02', '2027-01-04']);
+});
+
+test('Foopee week spanning New Year, seen on New Year\'s Day', () => {
+  const events = parseFoopeePage(fixture('foopee-dec29-jan4.html'), '2027-01-01');
+  assert.deepStrictEqual(datesOf(events), ['2026-12-29', '2026-12-31', '2027-01-02', '2027-01-04']);
+});
+
+test('Foopee January week fetched in December is next year', () => {
+  const events = parseFoopeePage(fixture('foopee-jan5-jan11.html'), '2026-12-20');
+  assert.deepStrictEqual(datesOf(events), ['2027-01-06', '2027-01-10', '2027-01-10']);
+});
+
+test('Foopee December week seen in January stays in last year', () => {
+  const events = parseFoopeePage(fixture('foopee-dec22-dec28.html'), '2027-01-02');
+  assert.deepStrictEqual(datesOf(events), ['2026-12-27']);
+});
+
+test('Foopee structured times carry the offset of the inferred date', () => {
+  const [, newYearsEve] = parseFoopeePage(fixture('foopee-dec29-jan4.html'), '2026-12-28');
+  assert.strictEqual(newYearsEve.startsAt, '2026-12-31T19:00:00-08:00');
+  assert.strictEqual(newYearsEve.endsAt, '2026-12-31T23:30:00-08:00');
+});